@@ -56,6 +56,21 @@ public struct CustomFontFamily: Sendable, Equatable, Identifiable {
     }
 }
 
+/// Font file contents for registering a variant with the reader web view
+public struct CustomFontData: Sendable {
+    public let family: String
+    public let weight: Int
+    public let isItalic: Bool
+    public let data: Data
+
+    public init(family: String, weight: Int, isItalic: Bool, data: Data) {
+        self.family = family
+        self.weight = weight
+        self.isItalic = isItalic
+        self.data = data
+    }
+}
+
 public struct CustomFontInfo: Sendable, Equatable, Identifiable {
     public let id: String
     public let name: String
@@ -78,7 +93,6 @@ public actor CustomFontsActor {
     private let fontsDirectory: URL
 
     private var cachedFamilies: [CustomFontFamily] = []
-    private var cachedFontFaceCSS: String = ""
     private var observers: [UUID: @Sendable @MainActor () -> Void] = [:]
 
     public init(fileManager: FileManager = .default) {
@@ -106,10 +120,6 @@ public actor CustomFontsActor {
         }
     }
 
-    public var fontFaceCSS: String {
-        cachedFontFaceCSS
-    }
-
     public func fontsDirectoryURL() -> URL {
         fontsDirectory
     }
@@ -127,7 +137,6 @@ public actor CustomFontsActor {
 
     public func refreshFonts() async {
         cachedFamilies = scanForFontFamilies()
-        cachedFontFaceCSS = generateFontFaceCSS()
 
         let observersList = Array(observers.values)
         Task { @MainActor in
@@ -274,52 +283,22 @@ public actor CustomFontsActor {
         }
     }
 
-    private func generateFontFaceCSS() -> String {
-        var css = ""
-
-        for family in cachedFamilies {
-            for variant in family.variants {
-                guard let fontData = try? Data(contentsOf: variant.fileURL) else {
-                    continue
+    /// Raw font files for the reader to register as FontFaces; nothing is encoded into CSS
+    public func loadFontData() -> [CustomFontData] {
+        cachedFamilies.flatMap { family in
+            family.variants.compactMap { variant in
+                guard let data = try? Data(contentsOf: variant.fileURL) else {
+                    debugLog("[CustomFontsActor] Failed to read font file: \(variant.fileName)")
+                    return nil
                 }
-
-                let base64 = fontData.base64EncodedString()
-                let mimeType = mimeTypeForFont(variant.fileURL.pathExtension)
-                let fontStyle = variant.isItalic ? "italic" : "normal"
-
-                css += """
-                @font-face {
-                    font-family: '\(family.name)';
-                    src: url('data:\(mimeType);base64,\(base64)') format('\(formatForExtension(variant.fileURL.pathExtension))');
-                    font-weight: \(variant.weight);
-                    font-style: \(fontStyle);
-                }
-
-                """
+                return CustomFontData(
+                    family: family.name,
+                    weight: variant.weight,
+                    isItalic: variant.isItalic,
+                    data: data
+                )
             }
         }
-
-        return css
-    }
-
-    private func mimeTypeForFont(_ ext: String) -> String {
-        switch ext.lowercased() {
-        case "ttf": return "font/ttf"
-        case "otf": return "font/otf"
-        case "woff": return "font/woff"
-        case "woff2": return "font/woff2"
-        default: return "font/ttf"
-        }
-    }
-
-    private func formatForExtension(_ ext: String) -> String {
-        switch ext.lowercased() {
-        case "ttf": return "truetype"
-        case "otf": return "opentype"
-        case "woff": return "woff"
-        case "woff2": return "woff2"
-        default: return "truetype"
-        }
     }
 
     private static func defaultFontsDirectory(fileManager: FileManager) -> URL {
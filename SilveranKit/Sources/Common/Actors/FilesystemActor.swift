@@ -743,6 +743,49 @@ public actor FilesystemActor {
         return URL(fileURLWithPath: extractedDir.path, isDirectory: true)
     }
 
+    /// Re-extracts specific entries into an extracted EPUB directory, e.g. files reported
+    /// missing or truncated by BookLoader's integrity check. Returns the number repaired.
+    public func reextractEpubEntries(epubPath: URL, extractedDir: URL, entries: [String])
+        async throws -> Int
+    {
+        let fm = FileManager.default
+        let archive: Archive
+        do {
+            archive = try Archive(url: epubPath, accessMode: .read)
+        } catch {
+            throw NSError(
+                domain: "FilesystemActor",
+                code: 4,
+                userInfo: [
+                    NSLocalizedDescriptionKey:
+                        "Failed to open EPUB archive: \(epubPath.path) - \(error)"
+                ]
+            )
+        }
+
+        var repaired = 0
+        for path in entries {
+            guard let entry = archive[path] else {
+                debugLog("[FilesystemActor] Entry not in archive, cannot repair: \(path)")
+                continue
+            }
+
+            let destinationURL = extractedDir.appendingPathComponent(entry.path)
+            try? fm.removeItem(at: destinationURL)
+            do {
+                _ = try archive.extract(entry, to: destinationURL)
+                repaired += 1
+            } catch {
+                debugLog(
+                    "[FilesystemActor] Failed to re-extract \(path): \(error.localizedDescription)"
+                )
+            }
+        }
+
+        debugLog("[FilesystemActor] Re-extracted \(repaired) of \(entries.count) entries")
+        return repaired
+    }
+
     public func extractAudioData(from epubPath: URL, audioPath: String) async throws -> Data {
         let archive: Archive
         do {
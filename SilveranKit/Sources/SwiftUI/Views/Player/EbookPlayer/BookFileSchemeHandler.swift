@@ -0,0 +1,152 @@
+import Foundation
+import WebKit
+
+/// BookFileSchemeHandler - Serves local book files to the reader web view with Range support
+///
+/// WKWebView answers file:// fetches with the whole file and ignores Range, so BookLoader.js
+/// could only buffer a book completely before opening it. Books opened through
+/// `silveran-book://book/<absolute path>` are read from disk a range at a time instead, which
+/// lets zip.js read the central directory and then only the entries foliate renders.
+@available(macOS 14.0, iOS 17.0, *)
+@MainActor
+final class BookFileSchemeHandler: NSObject, WKURLSchemeHandler {
+    static let scheme = "silveran-book"
+
+    private static let chunkSize = 1024 * 1024
+
+    private var activeTasks: [ObjectIdentifier: Task<Void, Never>] = [:]
+
+    /// URL for a local book file that the web view can fetch by range
+    static func url(for fileURL: URL) -> URL? {
+        var components = URLComponents()
+        components.scheme = scheme
+        components.host = "book"
+        components.path = fileURL.path
+        return components.url
+    }
+
+    func webView(_ webView: WKWebView, start urlSchemeTask: WKURLSchemeTask) {
+        let id = ObjectIdentifier(urlSchemeTask)
+        activeTasks[id] = Task { [weak self] in
+            await self?.serve(urlSchemeTask)
+            self?.activeTasks[id] = nil
+        }
+    }
+
+    func webView(_ webView: WKWebView, stop urlSchemeTask: WKURLSchemeTask) {
+        activeTasks.removeValue(forKey: ObjectIdentifier(urlSchemeTask))?.cancel()
+    }
+
+    private func serve(_ urlSchemeTask: WKURLSchemeTask) async {
+        guard let url = urlSchemeTask.request.url else { return }
+
+        // fetch() with a Range header from the file:// reader page is a CORS request
+        var headers = [
+            "Access-Control-Allow-Origin": "*",
+            "Access-Control-Allow-Headers": "Range",
+            "Access-Control-Expose-Headers": "Content-Range, Content-Length, Accept-Ranges",
+            "Accept-Ranges": "bytes",
+        ]
+
+        if urlSchemeTask.request.httpMethod == "OPTIONS" {
+            respond(urlSchemeTask, url: url, status: 204, headers: headers)
+            return
+        }
+
+        let path = url.path
+        guard let attributes = try? FileManager.default.attributesOfItem(atPath: path),
+            let size = (attributes[.size] as? NSNumber)?.intValue,
+            let handle = FileHandle(forReadingAtPath: path)
+        else {
+            debugLog("[BookFileSchemeHandler] File not found: \(path)")
+            respond(urlSchemeTask, url: url, status: 404, headers: headers)
+            return
+        }
+        defer { try? handle.close() }
+
+        let rangeHeader = urlSchemeTask.request.value(forHTTPHeaderField: "Range")
+        var status = 200
+        var range = 0..<size
+        if let rangeHeader {
+            guard let requested = Self.parseRange(rangeHeader, size: size) else {
+                headers["Content-Range"] = "bytes */\(size)"
+                respond(urlSchemeTask, url: url, status: 416, headers: headers)
+                return
+            }
+            status = 206
+            range = requested
+            headers["Content-Range"] =
+                "bytes \(range.lowerBound)-\(range.upperBound - 1)/\(size)"
+        }
+        headers["Content-Type"] = "application/octet-stream"
+        headers["Content-Length"] = String(range.count)
+
+        respond(urlSchemeTask, url: url, status: status, headers: headers, finish: false)
+
+        var offset = range.lowerBound
+        do {
+            try handle.seek(toOffset: UInt64(offset))
+            while offset < range.upperBound {
+                let length = min(Self.chunkSize, range.upperBound - offset)
+                let data = try handle.read(upToCount: length) ?? Data()
+                if data.isEmpty { break }
+                try Task.checkCancellation()
+                urlSchemeTask.didReceive(data)
+                offset += data.count
+                await Task.yield()
+            }
+            try Task.checkCancellation()
+            urlSchemeTask.didFinish()
+        } catch is CancellationError {
+            // The web view stopped the task; it must not be messaged again
+        } catch {
+            debugLog("[BookFileSchemeHandler] Read failed for \(path): \(error)")
+            urlSchemeTask.didFailWithError(error)
+        }
+    }
+
+    private func respond(
+        _ urlSchemeTask: WKURLSchemeTask,
+        url: URL,
+        status: Int,
+        headers: [String: String],
+        finish: Bool = true
+    ) {
+        guard !Task.isCancelled,
+            let response = HTTPURLResponse(
+                url: url,
+                statusCode: status,
+                httpVersion: "HTTP/1.1",
+                headerFields: headers
+            )
+        else { return }
+        urlSchemeTask.didReceive(response)
+        if finish {
+            urlSchemeTask.didFinish()
+        }
+    }
+
+    /// Parses a single "bytes=start-end", "bytes=start-" or "bytes=-suffix" range
+    /// Returns nil when the range can't be satisfied for a file of `size` bytes
+    static func parseRange(_ header: String, size: Int) -> Range<Int>? {
+        guard header.hasPrefix("bytes="), !header.contains(",") else { return nil }
+        let spec = header.dropFirst("bytes=".count)
+        let parts = spec.split(separator: "-", maxSplits: 1, omittingEmptySubsequences: false)
+        guard parts.count == 2 else { return nil }
+
+        let start: Int
+        let end: Int
+        if parts[0].isEmpty {
+            guard let suffix = Int(parts[1]), suffix > 0 else { return nil }
+            start = max(0, size - suffix)
+            end = size - 1
+        } else {
+            guard let first = Int(parts[0]) else { return nil }
+            start = first
+            end = parts[1].isEmpty ? size - 1 : min(Int(parts[1]) ?? -1, size - 1)
+        }
+
+        guard start >= 0, start < size, end >= start else { return nil }
+        return start..<(end + 1)
+    }
+}
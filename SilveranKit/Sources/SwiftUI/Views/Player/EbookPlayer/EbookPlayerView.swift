@@ -268,6 +268,7 @@ public struct EbookPlayerView: View {
                     AnyView(
                         EbookPlayerWebView(
                             ebookPath: ebookPath,
+                            fallbackPath: viewModel.bookData?.localMediaPath,
                             commsBridge: $viewModel.commsBridge,
                             onBridgeReady: { bridge in
                                 viewModel.installBridgeHandlers(
@@ -285,6 +286,7 @@ public struct EbookPlayerView: View {
                     AnyView(
                         EbookPlayerWebView(
                             ebookPath: ebookPath,
+                            fallbackPath: viewModel.bookData?.localMediaPath,
                             commsBridge: $viewModel.commsBridge,
                             onBridgeReady: { bridge in
                                 viewModel.installBridgeHandlers(
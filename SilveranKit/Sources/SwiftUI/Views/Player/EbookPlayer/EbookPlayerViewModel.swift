@@ -608,6 +608,7 @@ class EbookPlayerViewModel {
                         "[EbookPlayerViewModel] Recovery mode - reusing existing MOM/SMILPlayerActor"
                     )
                     self.mediaOverlayManager?.commsBridge = bridge
+                    self.mediaOverlayManager?.sendReadaloudTiming()
                     _ = self.recoveryManager?.handleBookStructureReadyIfRecovering()
                     #endif
                 } else {
@@ -723,6 +724,33 @@ class EbookPlayerViewModel {
                 self.handleHighlightTapped(message.highlightId)
             }
         }
+
+        bridge.onBookIntegrityReport = { [weak self] message in
+            guard let self else { return }
+            Task { @MainActor in
+                await self.repairExtractedBook(message)
+            }
+        }
+    }
+
+    /// JS has already fallen back to the packed EPUB for this session; re-extract the
+    /// reported entries so the extracted copy opens cleanly next time
+    private func repairExtractedBook(_ message: BookIntegrityReportMessage) async {
+        guard let localPath = bookData?.localMediaPath else { return }
+
+        let entries = message.missing + message.truncated.map(\.entry)
+        do {
+            let repaired = try await FilesystemActor.shared.reextractEpubEntries(
+                epubPath: localPath,
+                extractedDir: URL(fileURLWithPath: message.dirPath, isDirectory: true),
+                entries: entries
+            )
+            debugLog(
+                "[EbookPlayerViewModel] Repaired \(repaired) of \(entries.count) extracted entries"
+            )
+        } catch {
+            debugLog("[EbookPlayerViewModel] Failed to repair extracted book: \(error)")
+        }
     }
 
     func handlePlaybackProgressUpdate(_ message: PlaybackProgressUpdateMessage) {
@@ -826,7 +854,7 @@ class EbookPlayerViewModel {
 
         if let cfi = highlight.locator.locations?.partialCfi {
             do {
-                try await bridge.sendJsGoToCFICommand(cfi: cfi)
+                try await bridge.sendJsGoToCFICommand(cfi: cfi, recordHistory: true)
                 debugLog("[EbookPlayerViewModel] Navigated to highlight CFI: \(cfi)")
             } catch {
                 debugLog("[EbookPlayerViewModel] Failed to navigate to highlight: \(error)")
@@ -837,7 +865,7 @@ class EbookPlayerViewModel {
                 href = "\(href)#\(fragment)"
             }
             do {
-                try await bridge.sendJsGoToHrefCommand(href: href)
+                try await bridge.sendJsGoToHrefCommand(href: href, recordHistory: true)
                 debugLog("[EbookPlayerViewModel] Navigated to highlight href: \(href)")
             } catch {
                 debugLog("[EbookPlayerViewModel] Failed to navigate to highlight: \(error)")
@@ -103,11 +103,56 @@ private class WebViewCoordinator2: NSObject, WKNavigationDelegate, WKScriptMessa
                     let msg = try decoder.decode(BookStructureReadyMessage.self, from: data)
                     bridge.sendSwiftBookStructureReady(msg)
 
+                case "BookCover":
+                    let data = try JSONSerialization.data(withJSONObject: message.body)
+                    let msg = try decoder.decode(BookCoverMessage.self, from: data)
+                    bridge.sendSwiftBookCover(msg)
+
+                case "BookLoadFailed":
+                    let data = try JSONSerialization.data(withJSONObject: message.body)
+                    let msg = try decoder.decode(BookLoadFailedMessage.self, from: data)
+                    bridge.sendSwiftBookLoadFailed(msg)
+
+                case "BookIntegrityReport":
+                    let data = try JSONSerialization.data(withJSONObject: message.body)
+                    let msg = try decoder.decode(BookIntegrityReportMessage.self, from: data)
+                    bridge.sendSwiftBookIntegrityReport(msg)
+
+                case "BookLoadProgress":
+                    let data = try JSONSerialization.data(withJSONObject: message.body)
+                    let msg = try decoder.decode(BookLoadProgressMessage.self, from: data)
+                    bridge.sendSwiftBookLoadProgress(msg)
+
                 case "Relocated":
                     let data = try JSONSerialization.data(withJSONObject: message.body)
                     let msg = try decoder.decode(RelocatedMessage.self, from: data)
                     bridge.sendSwiftRelocated(msg)
 
+                case "LocationsReady":
+                    let data = try JSONSerialization.data(withJSONObject: message.body)
+                    let msg = try decoder.decode(LocationsReadyMessage.self, from: data)
+                    bridge.sendSwiftLocationsReady(msg)
+
+                case "NavigationHistoryChanged":
+                    let data = try JSONSerialization.data(withJSONObject: message.body)
+                    let msg = try decoder.decode(NavigationHistoryChangedMessage.self, from: data)
+                    bridge.sendSwiftNavigationHistoryChanged(msg)
+
+                case "FootnoteRequested":
+                    let data = try JSONSerialization.data(withJSONObject: message.body)
+                    let msg = try decoder.decode(FootnoteRequestedMessage.self, from: data)
+                    bridge.sendSwiftFootnoteRequested(msg)
+
+                case "ExternalLinkTapped":
+                    let data = try JSONSerialization.data(withJSONObject: message.body)
+                    let msg = try decoder.decode(ExternalLinkTappedMessage.self, from: data)
+                    bridge.sendSwiftExternalLinkTapped(msg)
+
+                case "OtherLinkTapped":
+                    let data = try JSONSerialization.data(withJSONObject: message.body)
+                    let msg = try decoder.decode(OtherLinkTappedMessage.self, from: data)
+                    bridge.sendSwiftOtherLinkTapped(msg)
+
                 case "PageFlipped":
                     let data = try JSONSerialization.data(withJSONObject: message.body)
                     let msg = try decoder.decode(PageFlippedMessage.self, from: data)
@@ -242,6 +287,7 @@ class HighlightableWebView: WKWebView {
 private func makeWebViewConfiguration2(coordinator: WebViewCoordinator2) -> WKWebViewConfiguration {
     let config = WKWebViewConfiguration()
     config.preferences.setValue(true, forKey: "allowFileAccessFromFileURLs")
+    config.setURLSchemeHandler(BookFileSchemeHandler(), forURLScheme: BookFileSchemeHandler.scheme)
 
     #if os(iOS)
     config.allowsInlineMediaPlayback = true
@@ -251,8 +297,17 @@ private func makeWebViewConfiguration2(coordinator: WebViewCoordinator2) -> WKWe
     let contentController = WKUserContentController()
     contentController.add(coordinator, name: "ConsoleLog")
     contentController.add(coordinator, name: "BookStructureReady")
+    contentController.add(coordinator, name: "BookCover")
+    contentController.add(coordinator, name: "BookLoadFailed")
+    contentController.add(coordinator, name: "BookLoadProgress")
+    contentController.add(coordinator, name: "BookIntegrityReport")
     contentController.add(coordinator, name: "Relocated")
     contentController.add(coordinator, name: "PageFlipped")
+    contentController.add(coordinator, name: "LocationsReady")
+    contentController.add(coordinator, name: "NavigationHistoryChanged")
+    contentController.add(coordinator, name: "FootnoteRequested")
+    contentController.add(coordinator, name: "ExternalLinkTapped")
+    contentController.add(coordinator, name: "OtherLinkTapped")
     contentController.add(coordinator, name: "OverlayToggled")
     contentController.add(coordinator, name: "MarginClickNav")
     contentController.add(coordinator, name: "mediaOverlaySeek")
@@ -274,17 +329,21 @@ private func makeWebViewConfiguration2(coordinator: WebViewCoordinator2) -> WKWe
 @available(macOS 14.0, iOS 17.0, *)
 struct EbookPlayerWebView: View {
     let ebookPath: URL?
+    /// Packed EPUB to open instead when the extracted directory at ebookPath is incomplete
+    let fallbackPath: URL?
     @Binding var commsBridge: WebViewCommsBridge?
     let onBridgeReady: ((WebViewCommsBridge) -> Void)?
     let onContentPurged: (() -> Void)?
 
     init(
         ebookPath: URL?,
+        fallbackPath: URL? = nil,
         commsBridge: Binding<WebViewCommsBridge?>,
         onBridgeReady: ((WebViewCommsBridge) -> Void)?,
         onContentPurged: (() -> Void)? = nil
     ) {
         self.ebookPath = ebookPath
+        self.fallbackPath = fallbackPath
         self._commsBridge = commsBridge
         self.onBridgeReady = onBridgeReady
         self.onContentPurged = onContentPurged
@@ -293,6 +352,7 @@ struct EbookPlayerWebView: View {
     var body: some View {
         WebViewWrapper2(
             ebookPath: ebookPath,
+            fallbackPath: fallbackPath,
             commsBridge: $commsBridge,
             onBridgeReady: onBridgeReady,
             onContentPurged: onContentPurged
@@ -305,6 +365,7 @@ struct EbookPlayerWebView: View {
 @available(macOS 14.0, iOS 17.0, *)
 private struct WebViewWrapper2: View {
     let ebookPath: URL?
+    let fallbackPath: URL?
     @Binding var commsBridge: WebViewCommsBridge?
     let onBridgeReady: ((WebViewCommsBridge) -> Void)?
     let onContentPurged: (() -> Void)?
@@ -369,16 +430,24 @@ private struct WebViewWrapper2: View {
         }
 
         Task { @MainActor in
-            let escapedPath = ebookPath.path.replacingOccurrences(of: "\\", with: "\\\\")
-                .replacingOccurrences(of: "'", with: "\\'")
+            let escape = { (path: String) in
+                path.replacingOccurrences(of: "\\", with: "\\\\")
+                    .replacingOccurrences(of: "'", with: "\\'")
+            }
+            // Packaged books go through BookFileSchemeHandler so they can be read by range
+            let bookFileURL = { (url: URL) in
+                escape(BookFileSchemeHandler.url(for: url)?.absoluteString ?? url.path)
+            }
 
             let script: String
             if ebookPath.hasDirectoryPath {
                 debugLog("[EbookPlayerWebView] Loading EPUB from directory: \(ebookPath.path)")
-                script = "window.bookLoader.openBookFromDirectory('\(escapedPath)')"
+                let options = fallbackPath.map { "{ fallbackPath: '\(bookFileURL($0))' }" } ?? "{}"
+                script =
+                    "window.bookLoader.openBookFromDirectory('\(escape(ebookPath.path))', \(options))"
             } else {
                 debugLog("[EbookPlayerWebView] Loading EPUB from file: \(ebookPath.path)")
-                script = "window.bookLoader.openBook('\(escapedPath)')"
+                script = "window.bookLoader.openBook('\(bookFileURL(ebookPath))')"
             }
 
             do {
@@ -118,7 +118,7 @@ class EbookSearchManager {
     /// Navigate to a search result (view only, no audio sync)
     func navigateToResult(_ result: SearchResult) async {
         do {
-            try await commsBridge?.sendJsGoToCFICommand(cfi: result.cfi)
+            try await commsBridge?.sendJsGoToCFICommand(cfi: result.cfi, recordHistory: true)
         } catch {
             debugLog("[EbookSearchManager] Failed to navigate to result: \(error)")
         }
@@ -584,6 +584,21 @@ class MediaOverlayManager {
         Task {
             await SMILPlayerActor.shared.setPlaybackRate(rate)
         }
+        sendReadaloudTiming()
+    }
+
+    /// Send narration length per section so JS bases reading time estimates on the audio
+    func sendReadaloudTiming() {
+        let sectionDurations = bookStructure.map { section in
+            section.mediaOverlay.reduce(0) { $0 + max($1.end - $1.begin, 0) }
+        }
+        let rate = playbackRate
+        Task {
+            try? await commsBridge?.sendJsSetReadaloudTiming(
+                sectionDurations: sectionDurations,
+                playbackRate: rate
+            )
+        }
     }
 
     /// Set volume level for audio narration (macOS only)
@@ -861,6 +876,6 @@ class MediaOverlayManager {
 
         lastFlipTime = Date()
         debugLog("[MOM] Page flip")
-        try? await commsBridge?.sendJsGoRightCommand()
+        try? await commsBridge?.sendJsGoRightCommand(fromMediaOverlay: true)
     }
 }
@@ -8,7 +8,6 @@ class ReaderStyleManager {
     private var settingsVM: SettingsViewModel
     private var colorScheme: ColorScheme = .light
     private var styleUpdateTask: Task<Void, Never>?
-    private var fontFaceCSS: String = ""
     @ObservationIgnored private var fontObserverID: UUID?
 
     init(settingsVM: SettingsViewModel, bridge: WebViewCommsBridge) {
@@ -16,7 +15,7 @@ class ReaderStyleManager {
         self.bridge = bridge
         setupSettingsObserver()
         Task {
-            await refreshFontFaceCSS()
+            await refreshFonts()
             await registerFontObserver()
         }
     }
@@ -35,16 +34,21 @@ class ReaderStyleManager {
         fontObserverID = await CustomFontsActor.shared.addObserver { @MainActor [weak self] in
             guard let self else { return }
             Task { @MainActor in
-                self.fontFaceCSS = await CustomFontsActor.shared.fontFaceCSS
+                await self.sendFonts()
                 await self.sendStyleUpdate()
             }
         }
     }
 
-    func refreshFontFaceCSS() async {
+    func refreshFonts() async {
         await CustomFontsActor.shared.refreshFonts()
-        fontFaceCSS = await CustomFontsActor.shared.fontFaceCSS
-        await sendStyleUpdate()
+    }
+
+    /// Fonts are registered with JS once and referenced by family name in styles
+    private func sendFonts() async {
+        guard let bridge = bridge else { return }
+        let fonts = await CustomFontsActor.shared.loadFontData()
+        try? await bridge.sendJsRegisterFonts(fonts)
     }
 
     func updateBridge(_ bridge: WebViewCommsBridge) {
@@ -54,6 +58,7 @@ class ReaderStyleManager {
     func sendInitialStyles(colorScheme scheme: ColorScheme) {
         colorScheme = scheme
         Task { @MainActor in
+            await sendFonts()
             await sendStyleUpdate()
         }
     }
@@ -119,11 +124,6 @@ class ReaderStyleManager {
             (foregroundColorRaw?.isEmpty == false ? foregroundColorRaw : nil)
             ?? (isDarkMode ? kDefaultForegroundColorDark : kDefaultForegroundColorLight)
 
-        var effectiveCustomCSS = fontFaceCSS
-        if let userCSS = settingsVM.customCSS, !userCSS.isEmpty {
-            effectiveCustomCSS += "\n" + userCSS
-        }
-
         try? await bridge.sendJsUpdateStyles(
             fontSize: settingsVM.fontSize,
             fontFamily: settingsVM.fontFamily,
@@ -137,7 +137,7 @@ class ReaderStyleManager {
             highlightThickness: settingsVM.highlightThickness,
             backgroundColor: effectiveBackgroundColor,
             foregroundColor: effectiveForegroundColor,
-            customCSS: effectiveCustomCSS.isEmpty ? nil : effectiveCustomCSS,
+            customCSS: settingsVM.customCSS?.isEmpty == false ? settingsVM.customCSS : nil,
             singleColumnMode: settingsVM.singleColumnMode,
             enableMarginClickNavigation: settingsVM.enableMarginClickNavigation,
             userHighlightMode: settingsVM.userHighlightMode,
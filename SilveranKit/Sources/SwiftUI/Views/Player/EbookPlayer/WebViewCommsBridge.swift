@@ -18,9 +18,36 @@ class WebViewCommsBridge {
     /// Notifies when book structure (TOC) is ready
     var onBookStructureReady: ((BookStructureReadyMessage) -> Void)?
 
+    /// Notifies when the book's cover image has been read (after BookStructureReady)
+    var onBookCover: ((BookCoverMessage) -> Void)?
+
+    /// Notifies when the book could not be opened
+    var onBookLoadFailed: ((BookLoadFailedMessage) -> Void)?
+
+    /// Notifies when an extracted book has missing or truncated files (for re-extraction)
+    var onBookIntegrityReport: ((BookIntegrityReportMessage) -> Void)?
+
+    /// Notifies as the book load advances (for progress UI)
+    var onBookLoadProgress: ((BookLoadProgressMessage) -> Void)?
+
     /// Notifies when relocate event occurs (page turn, navigation, etc.)
     var onRelocated: ((RelocatedMessage) -> Void)?
 
+    /// Notifies when stable locations have been computed for the open book
+    var onLocationsReady: ((LocationsReadyMessage) -> Void)?
+
+    /// Notifies when back/forward availability changes (for enabling back buttons)
+    var onNavigationHistoryChanged: ((NavigationHistoryChangedMessage) -> Void)?
+
+    /// Notifies when user taps a footnote reference (for showing the note in native UI)
+    var onFootnoteRequested: ((FootnoteRequestedMessage) -> Void)?
+
+    /// Notifies when user taps a web link (Swift confirms before opening a browser)
+    var onExternalLinkTapped: ((ExternalLinkTappedMessage) -> Void)?
+
+    /// Notifies when user taps a mailto: or other non-web link
+    var onOtherLinkTapped: ((OtherLinkTappedMessage) -> Void)?
+
     /// Notifies when user swipe gesture flips a page (iOS touch swipe detected by JS)
     var onPageFlipped: ((PageFlippedMessage) -> Void)?
 
@@ -73,6 +100,36 @@ class WebViewCommsBridge {
         onBookStructureReady?(message)
     }
 
+    /// JS read the book's cover image
+    func sendSwiftBookCover(_ message: BookCoverMessage) {
+        debugLog("[WebViewCommsBridge] sendSwiftBookCover - \(message.cover.count) chars")
+        onBookCover?(message)
+    }
+
+    /// JS is reporting that the book failed to load
+    func sendSwiftBookLoadFailed(_ message: BookLoadFailedMessage) {
+        debugLog(
+            "[WebViewCommsBridge] sendSwiftBookLoadFailed - \(message.code): \(message.message) (entry: \(message.entry ?? "nil"))"
+        )
+        onBookLoadFailed?(message)
+    }
+
+    /// JS found missing or truncated files in an extracted book
+    func sendSwiftBookIntegrityReport(_ message: BookIntegrityReportMessage) {
+        debugLog(
+            "[WebViewCommsBridge] sendSwiftBookIntegrityReport - \(message.missing.count) missing, \(message.truncated.count) truncated"
+        )
+        onBookIntegrityReport?(message)
+    }
+
+    /// JS is reporting book load progress
+    func sendSwiftBookLoadProgress(_ message: BookLoadProgressMessage) {
+        debugLog(
+            "[WebViewCommsBridge] sendSwiftBookLoadProgress - \(message.stage) \(message.bytesReceived?.description ?? "-")/\(message.totalBytes?.description ?? "-")"
+        )
+        onBookLoadProgress?(message)
+    }
+
     /// JS is sending Swift a Relocated event when user navigates, page turns, resizes, etc.
     func sendSwiftRelocated(_ message: RelocatedMessage) {
         debugLog("[WebViewCommsBridge] sendSwiftRelocated")
@@ -87,6 +144,38 @@ class WebViewCommsBridge {
         onRelocated?(message)
     }
 
+    /// JS finished computing stable locations
+    func sendSwiftLocationsReady(_ message: LocationsReadyMessage) {
+        debugLog("[WebViewCommsBridge] sendSwiftLocationsReady - total: \(message.totalLocations)")
+        onLocationsReady?(message)
+    }
+
+    /// JS navigation history changed
+    func sendSwiftNavigationHistoryChanged(_ message: NavigationHistoryChangedMessage) {
+        debugLog(
+            "[WebViewCommsBridge] sendSwiftNavigationHistoryChanged - back: \(message.canGoBack), forward: \(message.canGoForward)"
+        )
+        onNavigationHistoryChanged?(message)
+    }
+
+    /// JS resolved the note behind a tapped noteref link
+    func sendSwiftFootnoteRequested(_ message: FootnoteRequestedMessage) {
+        debugLog("[WebViewCommsBridge] sendSwiftFootnoteRequested - href: \(message.href)")
+        onFootnoteRequested?(message)
+    }
+
+    /// JS intercepted a tap on an http(s) link
+    func sendSwiftExternalLinkTapped(_ message: ExternalLinkTappedMessage) {
+        debugLog("[WebViewCommsBridge] sendSwiftExternalLinkTapped - href: \(message.href)")
+        onExternalLinkTapped?(message)
+    }
+
+    /// JS intercepted a tap on a link with a non-web scheme
+    func sendSwiftOtherLinkTapped(_ message: OtherLinkTappedMessage) {
+        debugLog("[WebViewCommsBridge] sendSwiftOtherLinkTapped - scheme: \(message.scheme), href: \(message.href)")
+        onOtherLinkTapped?(message)
+    }
+
     /// JS detected a user swipe that flipped the page
     func sendSwiftPageFlipped(_ message: PageFlippedMessage) {
         debugLog("[WebViewCommsBridge] sendSwiftPageFlipped - direction: \(message.direction)")
@@ -129,6 +218,65 @@ class WebViewCommsBridge {
         onElementVisibility?(message)
     }
 
+    /// Swift commands JS to abort the book load in progress
+    func sendJsCancelLoadCommand() async throws {
+        guard let webView = webView else {
+            throw WebViewCommsBridgeError.webViewNotAvailable
+        }
+
+        debugLog("[WebViewCommsBridge] sendJsCancelLoadCommand()")
+        _ = try await webView.evaluateJavaScript("window.bookLoader.cancelLoad()")
+    }
+
+    /// Swift pushes book bytes to JS in base64 chunks and opens them, so books in sandboxed
+    /// containers or fetched from a server never need a temp file that JS can fetch
+    func sendJsOpenBookFromData(
+        _ data: Data,
+        fileName: String,
+        chunkSize: Int = 1024 * 1024
+    ) async throws {
+        guard let webView = webView else {
+            throw WebViewCommsBridgeError.webViewNotAvailable
+        }
+
+        let escapedFileName =
+            fileName
+            .replacingOccurrences(of: "\\", with: "\\\\")
+            .replacingOccurrences(of: "'", with: "\\'")
+
+        debugLog(
+            "[WebViewCommsBridge] sendJsOpenBookFromData(fileName: \(fileName), bytes: \(data.count))"
+        )
+        _ = try await webView.evaluateJavaScript(
+            "window.bookLoader.beginBookData('\(escapedFileName)', \(data.count))"
+        )
+
+        var offset = 0
+        while offset < data.count {
+            let end = min(offset + chunkSize, data.count)
+            let chunk = data.subdata(in: offset..<end).base64EncodedString()
+            _ = try await webView.evaluateJavaScript(
+                "window.bookLoader.appendBookData('\(chunk)')"
+            )
+            offset = end
+        }
+
+        _ = try await webView.evaluateJavaScript("window.bookLoader.openBookFromData()")
+    }
+
+    /// Swift commands JS to tear down the open book (and abort any load) so the web view
+    /// can be reused for another book
+    func sendJsCloseBookCommand() async throws {
+        guard let webView = webView else {
+            throw WebViewCommsBridgeError.webViewNotAvailable
+        }
+
+        debugLog("[WebViewCommsBridge] sendJsCloseBookCommand()")
+        _ = try await webView.evaluateJavaScript(
+            "window.bookLoader.cancelLoad(); window.foliateManager.closeBook()"
+        )
+    }
+
     // MARK: Swift commands JS to navigate left (previous page)
     func sendJsGoLeftCommand() async throws {
         guard let webView = webView else {
@@ -140,24 +288,155 @@ class WebViewCommsBridge {
     }
 
     /// Swift commands JS to navigate right (next page)
-    func sendJsGoRightCommand() async throws {
+    /// fromMediaOverlay marks readaloud auto-flips so they don't count towards reading pace
+    func sendJsGoRightCommand(fromMediaOverlay: Bool = false) async throws {
         guard let webView = webView else {
             throw WebViewCommsBridgeError.webViewNotAvailable
         }
 
         debugLog("[WebViewCommsBridge] sendJsGoRightCommand()")
-        _ = try await webView.evaluateJavaScript("window.foliateManager.goRight()")
+        _ = try await webView.evaluateJavaScript(
+            "window.foliateManager.goRight(\(fromMediaOverlay))"
+        )
+    }
+
+    /// Swift commands JS to return to the position before the last jump
+    func sendJsGoBackCommand() async throws {
+        guard let webView = webView else {
+            throw WebViewCommsBridgeError.webViewNotAvailable
+        }
+
+        debugLog("[WebViewCommsBridge] sendJsGoBackCommand()")
+        _ = try await webView.evaluateJavaScript(
+            "(function() { window.foliateManager.goBack(); })()"
+        )
+    }
+
+    /// Swift commands JS to redo a jump undone by goBack
+    func sendJsGoForwardCommand() async throws {
+        guard let webView = webView else {
+            throw WebViewCommsBridgeError.webViewNotAvailable
+        }
+
+        debugLog("[WebViewCommsBridge] sendJsGoForwardCommand()")
+        _ = try await webView.evaluateJavaScript(
+            "(function() { window.foliateManager.goForward(); })()"
+        )
+    }
+
+    /// Swift commands JS to jump to the start of the next linear section
+    func sendJsNextSectionCommand() async throws {
+        guard let webView = webView else {
+            throw WebViewCommsBridgeError.webViewNotAvailable
+        }
+
+        debugLog("[WebViewCommsBridge] sendJsNextSectionCommand()")
+        _ = try await webView.evaluateJavaScript(
+            "(function() { window.foliateManager.nextSection(); })()"
+        )
+    }
+
+    /// Swift commands JS to jump to the start of the previous linear section
+    func sendJsPrevSectionCommand() async throws {
+        guard let webView = webView else {
+            throw WebViewCommsBridgeError.webViewNotAvailable
+        }
+
+        debugLog("[WebViewCommsBridge] sendJsPrevSectionCommand()")
+        _ = try await webView.evaluateJavaScript(
+            "(function() { window.foliateManager.prevSection(); })()"
+        )
+    }
+
+    /// Swift commands JS to jump one section left (previous in LTR, next in RTL books)
+    func sendJsGoLeftSectionCommand() async throws {
+        guard let webView = webView else {
+            throw WebViewCommsBridgeError.webViewNotAvailable
+        }
+
+        debugLog("[WebViewCommsBridge] sendJsGoLeftSectionCommand()")
+        _ = try await webView.evaluateJavaScript(
+            "(function() { window.foliateManager.goLeftSection(); })()"
+        )
+    }
+
+    /// Swift commands JS to jump one section right (next in LTR, previous in RTL books)
+    func sendJsGoRightSectionCommand() async throws {
+        guard let webView = webView else {
+            throw WebViewCommsBridgeError.webViewNotAvailable
+        }
+
+        debugLog("[WebViewCommsBridge] sendJsGoRightSectionCommand()")
+        _ = try await webView.evaluateJavaScript(
+            "(function() { window.foliateManager.goRightSection(); })()"
+        )
+    }
+
+    /// Swift commands JS to jump to the start of a spine section
+    func sendJsGoToSectionCommand(index: Int) async throws {
+        guard let webView = webView else {
+            throw WebViewCommsBridgeError.webViewNotAvailable
+        }
+
+        debugLog("[WebViewCommsBridge] sendJsGoToSectionCommand(index: \(index))")
+        _ = try await webView.evaluateJavaScript(
+            "(function() { window.foliateManager.goToSection(\(index)); })()"
+        )
+    }
+
+    /// Swift commands JS to jump to a TOC entry by id (from BookStructureReadyMessage.toc)
+    func sendJsGoToTOCItemCommand(id: Int) async throws {
+        guard let webView = webView else {
+            throw WebViewCommsBridgeError.webViewNotAvailable
+        }
+
+        debugLog("[WebViewCommsBridge] sendJsGoToTOCItemCommand(id: \(id))")
+        _ = try await webView.evaluateJavaScript(
+            "(function() { window.foliateManager.goToTOCItem(\(id)); })()"
+        )
     }
 
     /// Swift commands JS to navigate to a specific href (with optional fragment)
-    func sendJsGoToHrefCommand(href: String) async throws {
+    /// recordHistory is for user-initiated jumps only, never for position sync
+    func sendJsGoToHrefCommand(href: String, recordHistory: Bool = false) async throws {
         guard let webView = webView else {
             throw WebViewCommsBridgeError.webViewNotAvailable
         }
 
         let escapedHref = href.replacingOccurrences(of: "'", with: "\\'")
         debugLog("[WebViewCommsBridge] sendJsGoToHrefCommand(href: \(href))")
-        _ = try await webView.evaluateJavaScript("window.foliateManager.goTo('\(escapedHref)')")
+        _ = try await webView.evaluateJavaScript(
+            "window.foliateManager.goTo('\(escapedHref)', \(recordHistory))"
+        )
+    }
+
+    /// Swift commands JS to navigate to a print page label from the book's page-list
+    func sendJsGoToPageLabelCommand(label: String) async throws -> Bool {
+        guard let webView = webView else {
+            throw WebViewCommsBridgeError.webViewNotAvailable
+        }
+
+        let escapedLabel =
+            label
+            .replacingOccurrences(of: "\\", with: "\\\\")
+            .replacingOccurrences(of: "'", with: "\\'")
+        debugLog("[WebViewCommsBridge] sendJsGoToPageLabelCommand(label: \(label))")
+        let result = try await webView.evaluateJavaScript(
+            "window.foliateManager.goToPageLabel('\(escapedLabel)')"
+        )
+        return result as? Bool ?? false
+    }
+
+    /// Swift commands JS to navigate to a stable location number (ignored until LocationsReady)
+    func sendJsGoToLocationCommand(location: Int) async throws {
+        guard let webView = webView else {
+            throw WebViewCommsBridgeError.webViewNotAvailable
+        }
+
+        debugLog("[WebViewCommsBridge] sendJsGoToLocationCommand(location: \(location))")
+        _ = try await webView.evaluateJavaScript(
+            "(function() { window.foliateManager.goToLocation(\(location)); })()"
+        )
     }
 
     /// Swift commands JS to navigate to a Readium locator (href + optional fragment)
@@ -344,9 +623,7 @@ class WebViewCommsBridge {
 
         styles["backgroundColor"] = backgroundColor ?? NSNull()
         styles["foregroundColor"] = foregroundColor ?? NSNull()
-        if let customCSS = customCSS {
-            styles["customCSS"] = customCSS
-        }
+        styles["customCSS"] = customCSS ?? NSNull()
 
         let jsonData = try JSONSerialization.data(withJSONObject: styles)
         let jsonString = String(data: jsonData, encoding: .utf8)!
@@ -358,6 +635,34 @@ class WebViewCommsBridge {
         _ = try await webView.evaluateJavaScript(script)
     }
 
+    /// Swift replaces the user fonts registered in JS; fonts are sent one at a time
+    /// so large (CJK) fonts don't share a single script evaluation
+    func sendJsRegisterFonts(_ fonts: [CustomFontData]) async throws {
+        guard let webView = webView else {
+            throw WebViewCommsBridgeError.webViewNotAvailable
+        }
+
+        debugLog("[WebViewCommsBridge] sendJsRegisterFonts - \(fonts.count) fonts")
+        _ = try await webView.evaluateJavaScript("window.foliateManager.unregisterFonts()")
+
+        for font in fonts {
+            let descriptor: [String: Any] = [
+                "family": font.family,
+                "weight": font.weight,
+                "style": font.isItalic ? "italic" : "normal",
+                "data": font.data.base64EncodedString(),
+            ]
+            let jsonData = try JSONSerialization.data(withJSONObject: [descriptor])
+            let jsonString = String(data: jsonData, encoding: .utf8)!
+                .replacingOccurrences(of: "\\", with: "\\\\")
+                .replacingOccurrences(of: "'", with: "\\'")
+
+            _ = try await webView.evaluateJavaScript(
+                "(function() { window.foliateManager.registerFonts('\(jsonString)'); })()"
+            )
+        }
+    }
+
     // MARK: - Search dispatch methods (JS → Swift)
 
     func sendSwiftSearchResults(_ message: SearchResultsMessage) {
@@ -425,7 +730,8 @@ class WebViewCommsBridge {
     }
 
     /// Swift commands JS to navigate to a CFI (for search result navigation)
-    func sendJsGoToCFICommand(cfi: String) async throws {
+    /// recordHistory is for user-initiated jumps only, never for position sync
+    func sendJsGoToCFICommand(cfi: String, recordHistory: Bool = false) async throws {
         guard let webView = webView else {
             throw WebViewCommsBridgeError.webViewNotAvailable
         }
@@ -436,7 +742,7 @@ class WebViewCommsBridge {
             .replacingOccurrences(of: "'", with: "\\'")
         debugLog("[WebViewCommsBridge] sendJsGoToCFICommand(cfi: \(cfi))")
         _ = try await webView.evaluateJavaScript(
-            "(function() { window.foliateManager.goToCFI('\(escapedCFI)'); })()"
+            "(function() { window.foliateManager.goToCFI('\(escapedCFI)', \(recordHistory)); })()"
         )
     }
 
@@ -474,6 +780,27 @@ class WebViewCommsBridge {
         )
     }
 
+    /// Swift sends narration length per section so JS reading time estimates follow the audio
+    func sendJsSetReadaloudTiming(sectionDurations: [Double], playbackRate: Double) async throws {
+        guard let webView = webView else {
+            throw WebViewCommsBridgeError.webViewNotAvailable
+        }
+
+        let timing: [String: Any] = [
+            "sectionDurations": sectionDurations,
+            "playbackRate": playbackRate,
+        ]
+        let jsonData = try JSONSerialization.data(withJSONObject: timing)
+        let jsonString = String(data: jsonData, encoding: .utf8)!
+            .replacingOccurrences(of: "\\", with: "\\\\")
+            .replacingOccurrences(of: "'", with: "\\'")
+
+        debugLog("[WebViewCommsBridge] sendJsSetReadaloudTiming - rate: \(playbackRate)")
+        _ = try await webView.evaluateJavaScript(
+            "(function() { window.foliateManager.setReadaloudTiming('\(jsonString)'); })()"
+        )
+    }
+
     /// Swift commands JS to clear all user highlights
     func sendJsClearAllHighlights() async throws {
         guard let webView = webView else {
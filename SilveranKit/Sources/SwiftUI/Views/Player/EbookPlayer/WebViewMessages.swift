@@ -18,11 +18,148 @@ struct RelocatedMessage: Codable {
     let fraction: Double?
     let chapterFraction: Double?
     let title: String?
+    /// Id of the innermost TOC entry containing the position (matches BookStructureReadyMessage.toc)
+    let tocItemId: Int?
+    /// Print page labels visible on screen, from the EPUB page-list (empty if the book has none)
+    let pageLabels: [String]?
+    /// Stable 1-based location, independent of layout (nil until locations are computed)
+    let location: Int?
+    let totalLocations: Int?
+    /// Estimated seconds left, from reading pace or narration (nil until there is enough to go on)
+    let chapterTimeRemaining: Double?
+    let bookTimeRemaining: Double?
 }
 
 /// Sent from JS when book structure is ready after opening a book
 struct BookStructureReadyMessage: Codable {
     let sections: [SectionInfo]
+    /// "reflowable" or "pre-paginated" (fixed layout)
+    let layout: String?
+    /// Normalized OPF metadata (nil fields were absent from the book)
+    let metadata: BookMetadata?
+    /// Complete nested table of contents, including entries that point into the middle of a section
+    let toc: [TOCItem]?
+    /// Number of stable locations, if already known for this book (otherwise LocationsReady follows)
+    let totalLocations: Int?
+    /// Print pages from the EPUB page-list, in reading order
+    let pageList: [PageListEntry]?
+
+    struct BookMetadata: Codable {
+        let identifier: String?
+        let title: String?
+        let subtitle: String?
+        let authors: [String]
+        let contributors: [Contributor]
+        let language: String?
+        let languages: [String]
+        let publisher: String?
+        let published: String?
+        let modified: String?
+        let description: String?
+        let subjects: [String]
+        /// From belongs-to-collection; position is the group-position as written in the OPF
+        let series: [Collection]
+        let collections: [Collection]
+        let rights: String?
+    }
+
+    struct Contributor: Codable {
+        let name: String
+        let sortAs: String?
+        /// MARC relator codes ("aut", "trl", ...) or the metadata field name when none is given
+        let roles: [String]
+    }
+
+    struct Collection: Codable {
+        let name: String
+        let position: String?
+    }
+
+    struct TOCItem: Codable {
+        let id: Int
+        let label: String
+        /// Full href including #fragment
+        let href: String?
+        let sectionIndex: Int?
+        let level: Int
+        let children: [TOCItem]
+    }
+
+    struct PageListEntry: Codable {
+        let label: String
+        let href: String
+        let sectionIndex: Int?
+    }
+}
+
+/// Sent from JS after BookStructureReady when the book has a cover image
+struct BookCoverMessage: Codable {
+    /// Cover image as a data URL
+    let cover: String
+}
+
+/// Sent from JS when stable locations finish computing in the background
+struct LocationsReadyMessage: Codable {
+    let totalLocations: Int
+}
+
+/// Sent from JS when a book could not be opened (unsupported format, fetch or parse failure)
+/// code is stable (e.g. "fetch_timeout", "missing_entry", "parse_failed"); entry is the file
+/// inside the book that failed, if any
+struct BookLoadFailedMessage: Codable {
+    let code: String
+    let file: String?
+    let entry: String?
+    let message: String
+}
+
+/// Sent from JS when files in an extracted book are missing or don't match _sizes.json
+/// fallbackPath is set when JS fell back to opening the packed EPUB
+struct BookIntegrityReportMessage: Codable {
+    let dirPath: String
+    let missing: [String]
+    let truncated: [TruncatedEntry]
+    let fallbackPath: String?
+
+    struct TruncatedEntry: Codable {
+        let entry: String
+        let expectedSize: Int
+        let actualSize: Int
+    }
+}
+
+/// Sent from JS as a book load advances through its stages
+/// stage: "fetching", "receiving", "parsing", "rendering" or "cancelled"
+struct BookLoadProgressMessage: Codable {
+    let stage: String
+    let bytesReceived: Int?
+    let totalBytes: Int?
+}
+
+/// Sent from JS when the back/forward navigation history changes
+struct NavigationHistoryChangedMessage: Codable {
+    let canGoBack: Bool
+    let canGoForward: Bool
+}
+
+/// Sent from JS when a noteref link is tapped, with the resolved note content
+struct FootnoteRequestedMessage: Codable {
+    let href: String
+    let html: String
+    let text: String
+}
+
+/// Sent from JS when an http(s) link in the book is tapped
+struct ExternalLinkTappedMessage: Codable {
+    let href: String
+    let text: String
+}
+
+/// Sent from JS when a link with any other scheme (mailto:, tel:, ...) is tapped
+struct OtherLinkTappedMessage: Codable {
+    let href: String
+    let scheme: String
+    let text: String
 }
 
 /// Sent when foliate detects a user gesture that flips a page
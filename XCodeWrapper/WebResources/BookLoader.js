@@ -1,12 +1,116 @@
 import { debugLog } from "./DebugConfig.js";
+import { RangeReader } from "./RangeReader.js";
+
+const BOOK_FORMATS = {
+  epub: { mimeType: "application/epub+zip", extension: "epub" },
+  cbz: { mimeType: "application/vnd.comicbook+zip", extension: "cbz" },
+  fbz: { mimeType: "application/x-zip-compressed-fb2", extension: "fbz" },
+  fb2: { mimeType: "application/x-fictionbook+xml", extension: "fb2" },
+  mobi: { mimeType: "application/x-mobipocket-ebook", extension: "mobi" },
+  azw3: { mimeType: "application/vnd.amazon.ebook", extension: "azw3" },
+  pdf: { mimeType: "application/pdf", extension: "pdf" },
+};
+
+const ZIP_FORMATS = ["epub", "cbz", "fbz"];
+
+/**
+ * Stable codes posted to Swift in BookLoadFailed
+ */
+const LoadErrorCode = Object.freeze({
+  fetchTimeout: "fetch_timeout",
+  fetchFailed: "fetch_failed",
+  badStatus: "bad_status",
+  blobTimeout: "blob_timeout",
+  emptyFile: "empty_file",
+  unsupportedFormat: "unsupported_format",
+  missingEntry: "missing_entry",
+  incompleteExtraction: "incomplete_extraction",
+  parseFailed: "parse_failed",
+  unknown: "unknown",
+});
 
 /**
- * BookLoader - Handles loading books from files or directories
+ * Error raised while loading a book
+ * `file` is the book path, `entry` the file inside the book that failed, if any
+ */
+class BookLoadError extends Error {
+  constructor(code, message, { file = null, entry = null, cause } = {}) {
+    super(message, { cause });
+    this.name = "BookLoadError";
+    this.code = code;
+    this.file = file;
+    this.entry = entry;
+  }
+}
+
+const withTimeout = (promise, ms, error) => {
+  let timer;
+  const timeoutPromise = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(error), ms);
+  });
+  return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+};
+
+const decodeBase64 = base64 => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+const startsWithAscii = (bytes, text, offset = 0) => {
+  if (bytes.length < offset + text.length) return false;
+  for (let i = 0; i < text.length; i++) {
+    if (bytes[offset + i] !== text.charCodeAt(i)) return false;
+  }
+  return true;
+};
+
+/**
+ * Identify a book format from its leading bytes, falling back to the file extension
+ * when the bytes are ambiguous (zip containers, XML without a FictionBook root).
+ * Returns a key of BOOK_FORMATS, or null when the format is not supported.
+ */
+const detectBookFormat = (bytes, fileName) => {
+  const name = fileName.toLowerCase();
+
+  if (startsWithAscii(bytes, "PK\x03\x04")) {
+    if (name.endsWith(".cbz")) return "cbz";
+    if (name.endsWith(".fbz") || name.endsWith(".fb2.zip")) return "fbz";
+    // OCF requires an uncompressed "mimetype" entry first, so the EPUB media type
+    // sits right after the 30-byte local header and the 8-byte filename
+    if (startsWithAscii(bytes, "mimetype", 30) &&
+        startsWithAscii(bytes, BOOK_FORMATS.epub.mimeType, 38)) return "epub";
+    if (name.endsWith(".epub")) return "epub";
+    return null;
+  }
+
+  if (startsWithAscii(bytes, "%PDF-")) return "pdf";
+
+  // PalmDB header: type/creator at offset 60
+  if (startsWithAscii(bytes, "BOOKMOBI", 60) || startsWithAscii(bytes, "TEXtREAd", 60)) {
+    return name.endsWith(".azw3") || name.endsWith(".azw") ? "azw3" : "mobi";
+  }
+
+  const head = new TextDecoder().decode(bytes.subarray(0, 1024));
+  if (head.includes("<FictionBook") || name.endsWith(".fb2")) return "fb2";
+
+  return null;
+};
+
+/**
+ * BookLoader - Handles loading books from files, directories or bytes pushed from Swift
  *
  * When a book is loaded, automatically passes it to FoliateManager
  */
 export default class BookLoader {
   #foliateManager;
+  #loadController = null;
+  #activeReader = null;
+  #lastProgressReport = 0;
+  #pendingData = null;
 
   constructor(foliateManager) {
     this.#foliateManager = foliateManager;
@@ -19,83 +123,443 @@ export default class BookLoader {
    */
   openBook(filePath) {
     debugLog("BookLoader", "openBook() called with path:", filePath);
-    this.#loadBookFromFile(filePath)
-      .then(file => this.#foliateManager.open(file))
-      .catch(err => console.error("[BookLoader] Failed to load book:", err));
+    const signal = this.#beginLoad();
+    this.#loadBookFromFile(filePath, signal)
+      .then(file => this.#makeBook(file, signal, filePath))
+      .then(book => this.#openInManager(book, signal))
+      .catch(err => this.#handleLoadError(err, signal, "Failed to load book", filePath));
   }
 
   /**
    * Load and open a book from a directory
    * Non-async wrapper for Swift to call - kicks off loading and returns immediately
+   *
+   * The extracted files needed to open the book are checked against _sizes.json first.
+   * If any are missing or truncated, a BookIntegrityReport is posted (Swift re-extracts
+   * them) and `options.fallbackPath` (the packed EPUB) is opened instead; without a
+   * fallback the load fails.
+   */
+  openBookFromDirectory(dirPath, options = {}) {
+    debugLog("BookLoader", "openBookFromDirectory() called with path:", dirPath, options);
+    const signal = this.#beginLoad();
+    this.#loadBookFromDirectory(dirPath, signal, options)
+      .then(book => this.#openInManager(book, signal))
+      .catch(err => this.#handleLoadError(err, signal, "Failed to load book from directory", dirPath));
+  }
+
+  /**
+   * Start receiving a book pushed over the bridge
+   * Follow with appendBookData() for each chunk, then openBookFromData()
+   */
+  beginBookData(fileName, totalBytes = null) {
+    debugLog("BookLoader", "beginBookData() called:", fileName, totalBytes);
+    const signal = this.#beginLoad();
+    this.#pendingData = { fileName, totalBytes, signal, chunks: [], bytesReceived: 0 };
+  }
+
+  /**
+   * Append a chunk of book data: a base64 string, ArrayBuffer or typed array
+   * Returns the number of bytes received so far
+   */
+  appendBookData(chunk) {
+    const pending = this.#pendingData;
+    if (!pending) {
+      console.warn("[BookLoader] appendBookData() called without beginBookData()");
+      return 0;
+    }
+
+    const bytes = typeof chunk === "string"
+      ? decodeBase64(chunk)
+      : ArrayBuffer.isView(chunk)
+        ? new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength)
+        : new Uint8Array(chunk);
+    pending.chunks.push(bytes);
+    pending.bytesReceived += bytes.length;
+    this.#reportProgress("receiving", pending.bytesReceived, pending.totalBytes);
+    return pending.bytesReceived;
+  }
+
+  /**
+   * Assemble the chunks received since beginBookData() and open the book
+   * Non-async wrapper for Swift to call - kicks off loading and returns immediately
+   */
+  openBookFromData() {
+    const pending = this.#pendingData;
+    this.#pendingData = null;
+    if (!pending) {
+      console.warn("[BookLoader] openBookFromData() called without beginBookData()");
+      return;
+    }
+
+    debugLog("BookLoader", "openBookFromData() called:", pending.fileName,
+             pending.bytesReceived, "bytes in", pending.chunks.length, "chunks");
+    const { fileName, signal } = pending;
+    const blob = new Blob(pending.chunks);
+    this.#fileFromBlob(blob, fileName, fileName)
+      .then(file => this.#makeBook(file, signal, fileName))
+      .then(book => this.#openInManager(book, signal))
+      .catch(err => this.#handleLoadError(err, signal, "Failed to load book from data", fileName));
+  }
+
+  /**
+   * Abort the book load in progress, if any
+   * Returns true if a load was cancelled
+   */
+  cancelLoad() {
+    this.#pendingData = null;
+    if (!this.#loadController) {
+      debugLog("BookLoader", "cancelLoad() - no load in progress");
+      return false;
+    }
+
+    debugLog("BookLoader", "cancelLoad() - aborting load");
+    this.#loadController.abort();
+    this.#endLoad();
+    this.#reportProgress("cancelled");
+    return true;
+  }
+
+  #beginLoad() {
+    // A new load replaces any book still being received over the bridge
+    this.#pendingData = null;
+    this.#loadController?.abort();
+    this.#endLoad();
+    this.#loadController = new AbortController();
+    this.#reportProgress("fetching");
+    return this.#loadController.signal;
+  }
+
+  async #openInManager(book, signal) {
+    signal.throwIfAborted();
+    this.#reportProgress("rendering");
+    await this.#foliateManager.open(book, { signal });
+    signal.throwIfAborted();
+    if (this.#loadController?.signal === signal) {
+      this.#endLoad();
+    }
+  }
+
+  /**
+   * Forget the load in progress and stop its range reader reporting progress
    */
-  openBookFromDirectory(dirPath) {
-    debugLog("BookLoader", "openBookFromDirectory() called with path:", dirPath);
-    this.#loadBookFromDirectory(dirPath)
-      .then(book => this.#foliateManager.open(book))
-      .catch(err => console.error("[BookLoader] Failed to load book from directory:", err));
+  #endLoad() {
+    this.#loadController = null;
+    this.#activeReader?.detach();
+    this.#activeReader = null;
+  }
+
+  /**
+   * Report a failed load to Swift, unless it was cancelled or a newer load replaced it
+   */
+  #handleLoadError(err, signal, description, path) {
+    if (err?.name === "AbortError") {
+      debugLog("BookLoader", "Load cancelled");
+      return;
+    }
+    if (signal !== this.#loadController?.signal) {
+      debugLog("BookLoader", "Ignoring error from a superseded load:", err?.message);
+      return;
+    }
+
+    console.error(`[BookLoader] ${description}:`, err);
+    this.#endLoad();
+
+    const isLoadError = err instanceof BookLoadError;
+    window.webkit?.messageHandlers?.BookLoadFailed?.postMessage({
+      code: isLoadError ? err.code : LoadErrorCode.unknown,
+      file: (isLoadError ? err.file : null) ?? path,
+      entry: isLoadError ? err.entry : null,
+      message: err?.message || description,
+    });
+  }
+
+  /**
+   * Post a load stage to Swift: fetching, receiving, parsing, rendering or cancelled
+   * Byte counts are throttled since large books produce many chunks
+   */
+  #reportProgress(stage, bytesReceived = null, totalBytes = null) {
+    if (bytesReceived != null) {
+      const now = Date.now();
+      if (now - this.#lastProgressReport < 100 && bytesReceived !== totalBytes) return;
+      this.#lastProgressReport = now;
+    }
+
+    debugLog("trace", `Load progress: ${stage} ${bytesReceived ?? ""}/${totalBytes ?? ""}`);
+    window.webkit?.messageHandlers?.BookLoadProgress?.postMessage({
+      stage,
+      bytesReceived,
+      totalBytes,
+    });
   }
 
   /**
    * Load a book from a file path (internal async method)
+   * Sniffs the format from the first bytes. Zip-based books are read with range
+   * requests: Swift hands local books over as silveran-book:// URLs, whose scheme
+   * handler serves byte ranges from disk. Where ranges aren't honored (plain
+   * file:// URLs among them), the whole file is fetched into a Blob under the
+   * usual fetch/body timeouts and zip entries are read from that Blob.
    */
-  async #loadBookFromFile(filePath) {
-  debugLog("trace", "loadBookFromFile trace");
-  try {
-    debugLog("BookLoader", "Starting to load file:", filePath);
+  async #loadBookFromFile(filePath, signal) {
+    debugLog("trace", "loadBookFromFile trace");
+    try {
+      debugLog("BookLoader", "Starting to load file:", filePath);
+
+      const fetchUrl = new URL(filePath, import.meta.url);
+      const fileName = decodeURIComponent(fetchUrl.pathname.split("/").pop() || "book");
+      debugLog("BookLoader", "Fetch URL:", fetchUrl.href);
+
+      const rangeReader = new RangeReader(fetchUrl, {
+        signal,
+        onRead: (bytesRead, size) => this.#reportProgress("parsing", bytesRead, size),
+      });
+      this.#activeReader = rangeReader;
+      try {
+        await withTimeout(rangeReader.init(), 30000, new BookLoadError(
+          LoadErrorCode.fetchTimeout, "Fetch timeout after 30s", { file: filePath }));
+      } catch (err) {
+        if (err instanceof BookLoadError || err.name === "AbortError") throw err;
+        throw new BookLoadError(LoadErrorCode.fetchFailed,
+          `Could not read ${fileName}: ${err.message}`, { file: filePath, cause: err });
+      }
+
+      if (!rangeReader.rangesSupported) {
+        debugLog("BookLoader", "Falling back to reading the whole file");
+        const blob = await this.#fetchBlob(fetchUrl, signal, filePath);
+        return await this.#fileFromBlob(blob, fileName, filePath);
+      }
+      debugLog("BookLoader", "Book size:", rangeReader.size, "bytes",
+                  `(${(rangeReader.size / 1024 / 1024).toFixed(2)} MB)`);
+
+      if (!rangeReader.size) {
+        throw new BookLoadError(LoadErrorCode.emptyFile, `File is empty: ${fileName}`,
+                                { file: filePath });
+      }
+
+      const header = await rangeReader.readUint8Array(0, Math.min(1024, rangeReader.size));
+      const format = detectBookFormat(header, fileName);
+      if (!format) {
+        throw new BookLoadError(LoadErrorCode.unsupportedFormat,
+          `Unsupported book format: ${fileName}`, { file: filePath });
+      }
+      debugLog("BookLoader", "Detected format:", format);
+
+      this.#reportProgress("parsing", rangeReader.bytesRead, rangeReader.size);
+
+      if (ZIP_FORMATS.includes(format)) {
+        return {
+          name: fileName,
+          type: BOOK_FORMATS[format].mimeType,
+          bookFormat: format,
+          zipReader: rangeReader,
+        };
+      }
+
+      const blob = await this.#fetchBlob(fetchUrl, signal, filePath);
+      return this.#makeFile(blob, fileName, format);
+    } catch (err) {
+      if (err.name !== "AbortError") {
+        console.error("[BookLoader] Error loading book from file:", err);
+        console.error("[BookLoader] Error stack:", err.stack);
+      }
+      throw err;
+    }
+  }
+
+  #makeFile(blob, fileName, format) {
+    debugLog("BookLoader", "Creating File object...");
+    const file = new File([blob], fileName, { type: BOOK_FORMATS[format].mimeType });
+    file.bookFormat = format;
+    debugLog("BookLoader", "File object created successfully");
+    return file;
+  }
+
+  /**
+   * Sniff the format of book bytes already in memory and wrap them in a File
+   */
+  async #fileFromBlob(blob, fileName, path) {
+    if (!blob.size) {
+      throw new BookLoadError(LoadErrorCode.emptyFile, `File is empty: ${fileName}`,
+                              { file: path });
+    }
 
-    const fetchUrl = new URL(filePath, import.meta.url);
-    debugLog("BookLoader", "Fetch URL:", fetchUrl.href);
+    const header = new Uint8Array(await blob.slice(0, 1024).arrayBuffer());
+    const format = detectBookFormat(header, fileName);
+    if (!format) {
+      throw new BookLoadError(LoadErrorCode.unsupportedFormat,
+        `Unsupported book format: ${fileName}`, { file: path });
+    }
+    debugLog("BookLoader", "Detected format:", format);
 
-    const fetchPromise = fetch(fetchUrl).catch(err => {
+    return this.#makeFile(blob, fileName, format);
+  }
+
+  /**
+   * Fetch a whole file into a Blob, for formats that can't be read by range
+   */
+  async #fetchBlob(fetchUrl, signal, filePath) {
+    const fetchPromise = fetch(fetchUrl, { signal }).catch(err => {
+      if (err.name === "AbortError") throw err;
       console.error("[BookLoader] Fetch threw error:", err);
       console.error("[BookLoader] Error type:", err.name);
       console.error("[BookLoader] Error message:", err.message);
-      throw new Error(`Fetch error: ${err.message}`);
+      throw new BookLoadError(LoadErrorCode.fetchFailed, `Fetch error: ${err.message}`,
+                              { file: filePath, cause: err });
     });
-    const timeoutPromise = new Promise((_, reject) =>
-      setTimeout(() => reject(new Error("Fetch timeout after 30s")), 30000)
-    );
 
     debugLog("BookLoader", "Starting fetch...");
-    const response = await Promise.race([fetchPromise, timeoutPromise]);
+    const response = await withTimeout(fetchPromise, 30000, new BookLoadError(
+      LoadErrorCode.fetchTimeout, "Fetch timeout after 30s", { file: filePath }));
     debugLog("BookLoader", "Fetch completed, status:", response.status, "ok:", response.ok);
 
     if (!response.ok && response.status !== 0) {
-      throw new Error(`Fetch failed with status ${response.status}`);
+      throw new BookLoadError(LoadErrorCode.badStatus,
+        `Fetch failed with status ${response.status}`, { file: filePath });
     }
 
-    const contentLength = response.headers.get('content-length');
-    debugLog("BookLoader", "Content-Length:", contentLength, "bytes",
-                contentLength ? `(${(contentLength / 1024 / 1024).toFixed(2)} MB)` : "");
-
     debugLog("BookLoader", "Converting response to blob...");
-    const blobPromise = response.blob();
-    const blobTimeoutPromise = new Promise((_, reject) =>
-      setTimeout(() => reject(new Error("Blob conversion timeout after 60s")), 60000)
-    );
-
-    const blob = await Promise.race([blobPromise, blobTimeoutPromise]);
+    const totalBytes = Number(response.headers.get('content-length')) || null;
+    const blob = await withTimeout(this.#readBody(response, totalBytes), 60000,
+      new BookLoadError(LoadErrorCode.blobTimeout, "Blob conversion timeout after 60s",
+                        { file: filePath }));
     debugLog("BookLoader", "Blob created, size:", blob.size, "bytes",
                 `(${(blob.size / 1024 / 1024).toFixed(2)} MB)`);
 
     debugLog("trace", `Blob size: ${blob.size}`);
+    return blob;
+  }
 
-    debugLog("BookLoader", "Creating File object...");
-    const file = new File([blob], "book.epub", { type: "application/epub+zip" });
-    debugLog("BookLoader", "File object created successfully");
+  /**
+   * Read a response body into a Blob, reporting bytes as they arrive
+   */
+  async #readBody(response, totalBytes) {
+    if (!response.body) return await response.blob();
 
-    return file;
-  } catch (err) {
-    console.error("[BookLoader] Error loading book from file:", err);
-    console.error("[BookLoader] Error stack:", err.stack);
-    throw err;
+    const reader = response.body.getReader();
+    const chunks = [];
+    let bytesReceived = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      bytesReceived += value.length;
+      this.#reportProgress("receiving", bytesReceived, totalBytes);
+    }
+    return new Blob(chunks);
+  }
+
+  /**
+   * Turn a sniffed book source into a foliate book using the loader for its format
+   * Zip-based sources carry a zip.js reader, the others are a File
+   */
+  async #makeBook(file, signal, filePath) {
+    debugLog("BookLoader", "Making book for format:", file.bookFormat);
+    signal?.throwIfAborted();
+    this.#reportProgress("parsing");
+
+    let book;
+    try {
+      book = await this.#parseBook(file);
+    } catch (err) {
+      if (err.name === "AbortError") throw err;
+      throw this.#parseError(err, filePath, file.lastMissingEntry);
+    }
+    signal?.throwIfAborted();
+    return book;
+  }
+
+  /**
+   * Map an exception from a foliate loader to a BookLoadError
+   * `missingEntry` is set only when the loader's last request was for an entry it
+   * couldn't find, so the failure came from that fetch. Optional files like
+   * encryption.xml are asked for too, but a later successful read clears them.
+   */
+  #parseError(err, filePath, missingEntry = null) {
+    if (err instanceof BookLoadError) return err;
+
+    if (missingEntry) {
+      return new BookLoadError(LoadErrorCode.missingEntry,
+        `The book is missing ${missingEntry}`, { file: filePath, entry: missingEntry, cause: err });
+    }
+    return new BookLoadError(LoadErrorCode.parseFailed,
+      `Could not parse book: ${err.message}`, { file: filePath, cause: err });
+  }
+
+  async #parseBook(file) {
+    switch (file.bookFormat) {
+      case "epub": {
+        const loader = await this.#makeZipLoader(file.zipReader ?? file, file);
+        const { EPUB } = await import('./foliate-js/epub.js');
+        return await new EPUB(loader).init();
+      }
+      case "cbz": {
+        const loader = await this.#makeZipLoader(file.zipReader ?? file, file);
+        const { makeComicBook } = await import('./foliate-js/comic-book.js');
+        return makeComicBook(loader, file);
+      }
+      case "fbz": {
+        const loader = await this.#makeZipLoader(file.zipReader ?? file, file);
+        const entry = loader.entries.find(e => e.filename.endsWith(".fb2")) ?? loader.entries[0];
+        if (!entry) throw new Error(`No FB2 document found in ${file.name}`);
+        const blob = await loader.loadBlob(entry.filename);
+        const { makeFB2 } = await import('./foliate-js/fb2.js');
+        return await makeFB2(blob);
+      }
+      case "fb2": {
+        const { makeFB2 } = await import('./foliate-js/fb2.js');
+        return await makeFB2(file);
+      }
+      case "mobi":
+      case "azw3": {
+        const { MOBI } = await import('./foliate-js/mobi.js');
+        const fflate = await import('./foliate-js/vendor/fflate.js');
+        return await new MOBI({ unzlib: fflate.unzlibSync }).open(file);
+      }
+      case "pdf": {
+        const { makePDF } = await import('./foliate-js/pdf.js');
+        return await makePDF(file);
+      }
+      default:
+        throw new BookLoadError(LoadErrorCode.unsupportedFormat,
+          `Unsupported book format: ${file.name}`);
+    }
+  }
+
+  /**
+   * Create a loader over the entries of a zip-based book (EPUB, CBZ, FBZ)
+   * Only the central directory is read up front; entries are read when requested
+   * `file.lastMissingEntry` is the name last asked for when it isn't in the archive
+   */
+  async #makeZipLoader(source, file) {
+    const { configure, ZipReader, BlobReader, TextWriter, BlobWriter } =
+      await import('./foliate-js/vendor/zip.js');
+    configure({ useWebWorkers: false });
+
+    const reader = new ZipReader(source instanceof Blob ? new BlobReader(source) : source);
+    const entries = await reader.getEntries();
+    debugLog("BookLoader", "Zip entries:", entries.length);
+    const map = new Map(entries.map(entry => [entry.filename, entry]));
+
+    file.lastMissingEntry = null;
+    const load = f => (name, ...args) => {
+      if (map.has(name)) {
+        file.lastMissingEntry = null;
+        return f(map.get(name), ...args);
+      }
+      file.lastMissingEntry = name;
+      return null;
+    };
+    const loadText = load(entry => entry.getData(new TextWriter()));
+    const loadBlob = load((entry, type) => entry.getData(new BlobWriter(type)));
+    const getSize = name => map.get(name)?.uncompressedSize ?? 0;
+
+    return { entries, loadText, loadBlob, getSize };
   }
-}
 
   /**
    * Create a custom loader for a directory (extracted EPUB)
    */
-  async #makeCustomDirectoryLoader(dirPath) {
+  async #makeCustomDirectoryLoader(dirPath, signal) {
   debugLog("BookLoader", "Creating directory loader for:", dirPath);
 
   if (!dirPath.endsWith('/')) {
@@ -105,36 +569,52 @@ export default class BookLoader {
   const decoder = new TextDecoder();
 
   // Load sizes manifest generated by Swift during extraction
+  // Without it the book still opens, but sizes and the integrity check are skipped
   let sizeMap = {};
+  let hasSizeMap = false;
   try {
     const sizesUrl = new URL('_sizes.json', `file://${dirPath}`);
-    const response = await fetch(sizesUrl);
+    const response = await fetch(sizesUrl, { signal });
     if (response.ok || response.status === 0) {
       sizeMap = await response.json();
+      hasSizeMap = true;
       debugLog("BookLoader", "Loaded sizes manifest:", Object.keys(sizeMap).length, "entries");
     }
   } catch (err) {
+    if (err.name === "AbortError") throw err;
     console.warn("[BookLoader] Could not load _sizes.json:", err);
   }
+  if (!hasSizeMap) {
+    console.warn("[BookLoader] No _sizes.json manifest, skipping size checks");
+  }
+
+  let lastMissingEntry = null;
 
-  async function fetchFileAsBlob(filename) {
+  // Optional files (read by the integrity check) aren't recorded as missing when absent
+  async function fetchFileAsBlob(filename, { optional = false } = {}) {
     try {
       const url = new URL(filename, `file://${dirPath}`);
       debugLog("BookLoader", "Fetching file:", url.href);
-      const response = await fetch(url);
+      const response = await fetch(url, { signal });
       if (!response.ok && response.status !== 0) {
+        if (optional) return null;
         console.error("[BookLoader] Failed to fetch", filename, "status:", response.status);
+        lastMissingEntry = filename;
         return null;
       }
+      lastMissingEntry = null;
       return await response.blob();
     } catch (err) {
+      if (err.name === "AbortError") throw err;
+      if (optional) return null;
       console.error("[BookLoader] Error fetching", filename, err);
+      lastMissingEntry = filename;
       return null;
     }
   }
 
-  async function loadText(filename) {
-    const blob = await fetchFileAsBlob(filename);
+  async function loadText(filename, options) {
+    const blob = await fetchFileAsBlob(filename, options);
     if (!blob) return null;
     const buffer = await blob.arrayBuffer();
     return decoder.decode(buffer);
@@ -148,17 +628,117 @@ export default class BookLoader {
     return sizeMap[filename] ?? 0;
   }
 
-  return { loadText, loadBlob, getSize };
+  // Content-Length is only compared when the response carries one
+  async function probeEntry(filename) {
+    try {
+      const url = new URL(filename, `file://${dirPath}`);
+      const response = await fetch(url, { signal });
+      await response.body?.cancel();
+      if (!response.ok && response.status !== 0) return { present: false };
+      const length = response.headers.get('content-length');
+      return { present: true, size: length == null ? null : Number(length) };
+    } catch (err) {
+      if (err.name === "AbortError") throw err;
+      return { present: false };
+    }
+  }
+
+  // The files needed to read the book: container, OPF, NCX and the manifest's XHTML
+  // (including nav), CSS, images and fonts. Audio and video are left out on purpose:
+  // they are the bulk of a readaloud book, and probing them would cost about as much
+  // as the extraction the check guards
+  const requiredTypes = ["application/xhtml+xml", "text/css", "application/x-dtbncx+xml",
+                         "application/vnd.ms-opentype"];
+  const requiredTypePrefixes = ["image/", "font/", "application/font-", "application/x-font-"];
+  const isRequiredMediaType = type => !!type && (requiredTypes.includes(type) ||
+    requiredTypePrefixes.some(prefix => type.startsWith(prefix)));
+
+  async function requiredEntries() {
+    const parse = text => text && new DOMParser().parseFromString(text, "application/xml");
+    const container = "META-INF/container.xml";
+    const required = [container];
+
+    const $container = parse(await loadText(container, { optional: true }));
+    const opfPath = $container?.querySelector("rootfile")?.getAttribute("full-path");
+    if (opfPath) {
+      required.push(opfPath);
+      const $opf = parse(await loadText(opfPath, { optional: true }));
+      for (const item of $opf?.querySelectorAll("manifest > item") ?? []) {
+        const href = item.getAttribute("href");
+        if (!href || !isRequiredMediaType(item.getAttribute("media-type"))) continue;
+        const url = new URL(href, `file:///${opfPath}`);
+        required.push(decodeURIComponent(url.pathname.slice(1)));
+      }
+    }
+
+    // Entries the EPUB itself lacks can't be repaired by falling back to it
+    return [...new Set(required)].filter(entry => entry in sizeMap);
+  }
+
+  // Compare the manifest against the files needed to open the book, a few at a time
+  async function checkIntegrity() {
+    if (!hasSizeMap) return { missing: [], truncated: [] };
+    const entries = await requiredEntries();
+    const missing = [];
+    const truncated = [];
+
+    for (let i = 0; i < entries.length; i += 8) {
+      const batch = entries.slice(i, i + 8);
+      const results = await Promise.all(batch.map(probeEntry));
+      results.forEach(({ present, size }, j) => {
+        const entry = batch[j];
+        if (!present) {
+          missing.push(entry);
+        } else if (size != null && size !== sizeMap[entry]) {
+          truncated.push({ entry, expectedSize: sizeMap[entry], actualSize: size });
+        }
+      });
+    }
+
+    debugLog("BookLoader", "Integrity check:", entries.length, "entries,",
+             missing.length, "missing,", truncated.length, "truncated");
+    return { missing, truncated };
+  }
+
+  return {
+    loadText,
+    loadBlob,
+    getSize,
+    checkIntegrity,
+    get lastMissingEntry() { return lastMissingEntry; },
+  };
 }
 
   /**
    * Load a book from a directory (extracted EPUB)
    */
-  async #loadBookFromDirectory(dirPath) {
+  async #loadBookFromDirectory(dirPath, signal, { fallbackPath = null } = {}) {
   debugLog("BookLoader", "Loading book from directory:", dirPath);
   try {
     debugLog("BookLoader", "Creating custom loader...");
-    const loader = await this.#makeCustomDirectoryLoader(dirPath);
+    const loader = await this.#makeCustomDirectoryLoader(dirPath, signal);
+
+    debugLog("BookLoader", "Checking extracted files...");
+    const { missing, truncated } = await loader.checkIntegrity();
+    signal.throwIfAborted();
+    if (missing.length || truncated.length) {
+      window.webkit?.messageHandlers?.BookIntegrityReport?.postMessage({
+        dirPath,
+        missing,
+        truncated,
+        fallbackPath,
+      });
+
+      if (fallbackPath) {
+        console.warn("[BookLoader] Extracted book is incomplete, falling back to:", fallbackPath);
+        const source = await this.#loadBookFromFile(fallbackPath, signal);
+        return await this.#makeBook(source, signal, fallbackPath);
+      }
+
+      throw new BookLoadError(LoadErrorCode.incompleteExtraction,
+        `${missing.length} missing and ${truncated.length} truncated files in extracted book`,
+        { file: dirPath, entry: missing[0] ?? truncated[0].entry });
+    }
 
     debugLog("BookLoader", "Importing EPUB module...");
     const { EPUB } = await import('./foliate-js/epub.js');
@@ -167,13 +747,22 @@ export default class BookLoader {
     const epub = new EPUB(loader);
 
     debugLog("BookLoader", "Initializing EPUB...");
-    const book = await epub.init();
+    this.#reportProgress("parsing");
+    let book;
+    try {
+      book = await epub.init();
+    } catch (err) {
+      throw this.#parseError(err, dirPath, loader.lastMissingEntry);
+    }
+    signal.throwIfAborted();
 
     debugLog("BookLoader", "Book loaded successfully from directory");
     return book;
   } catch (err) {
-    console.error("[BookLoader] Error loading book from directory:", err);
-    console.error("[BookLoader] Error stack:", err.stack);
+    if (err.name !== "AbortError") {
+      console.error("[BookLoader] Error loading book from directory:", err);
+      console.error("[BookLoader] Error stack:", err.stack);
+    }
     throw err;
   }
 }
@@ -0,0 +1,145 @@
+import { debugLog } from "./DebugConfig.js";
+
+// Characters of section text per location
+const LOCATION_SIZE = 1024;
+const CACHE_PREFIX = "silveran-locations:";
+
+const countChars = (doc) => doc?.body?.textContent?.length ?? 0;
+
+/**
+ * BookLocations - Stable book-wide location numbers
+ *
+ * Every section is split into fixed-size character chunks counted from the
+ * section's source document, so location numbers only depend on the book's
+ * content and not on fonts, margins or window size. Locations are 1-based.
+ */
+export class BookLocations {
+  #sections = [];
+  #total = null;
+
+  get isReady() {
+    return this.#total != null;
+  }
+
+  get total() {
+    return this.#total;
+  }
+
+  reset() {
+    this.#sections = [];
+    this.#total = null;
+  }
+
+  // Use locations computed for this book in an earlier session, if any
+  restore(book) {
+    const key = this.#cacheKey(book);
+    if (!key) return false;
+
+    try {
+      const counts = JSON.parse(localStorage.getItem(key) ?? "null");
+      if (!Array.isArray(counts) || counts.length !== book.sections.length) return false;
+      this.#setCounts(counts);
+      debugLog("FoliateManager", "Restored", this.#total, "locations from cache");
+      return true;
+    } catch (error) {
+      console.warn("[BookLocations] Failed to restore cached locations:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Count the characters of every section, yielding between sections
+   * Returns false if isCancelled() became true before finishing
+   */
+  async compute(book, isCancelled) {
+    const sections = book?.sections ?? [];
+    const counts = [];
+
+    for (const section of sections) {
+      if (isCancelled()) return false;
+      try {
+        const doc = await section.createDocument?.();
+        counts.push(Math.max(1, Math.ceil(countChars(doc) / LOCATION_SIZE)));
+      } catch (error) {
+        console.warn("[BookLocations] Failed to count section:", section.id, error);
+        counts.push(1);
+      }
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    if (isCancelled()) return false;
+    this.#setCounts(counts);
+    debugLog("FoliateManager", "Computed", this.#total, "locations");
+
+    const key = this.#cacheKey(book);
+    if (key) {
+      try {
+        localStorage.setItem(key, JSON.stringify(counts));
+      } catch (error) {
+        console.warn("[BookLocations] Failed to cache locations:", error);
+      }
+    }
+    return true;
+  }
+
+  locationForRange(sectionIndex, range) {
+    const section = this.#sections[sectionIndex];
+    if (!section || !range) return null;
+
+    const doc = range.startContainer?.ownerDocument;
+    if (!doc?.body) return null;
+
+    const before = doc.createRange();
+    before.setStart(doc.body, 0);
+    before.setEnd(range.startContainer, range.startOffset);
+    const chunk = Math.floor(before.toString().length / LOCATION_SIZE);
+
+    return section.start + Math.min(chunk, section.count - 1) + 1;
+  }
+
+  // Navigation target for the renderer: section index plus an anchor at the chunk start
+  targetForLocation(location) {
+    if (!this.isReady || !Number.isFinite(location)) return null;
+
+    const clamped = Math.max(1, Math.min(this.#total, Math.round(location)));
+    const index = this.#sections.findIndex(({ start, count }) =>
+      clamped > start && clamped <= start + count);
+    if (index < 0) return null;
+
+    const offset = (clamped - this.#sections[index].start - 1) * LOCATION_SIZE;
+    const anchor = (doc) => {
+      const walker = doc.createTreeWalker(doc.body, NodeFilter.SHOW_TEXT);
+      let remaining = offset;
+      for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        if (remaining <= node.length) {
+          const range = doc.createRange();
+          range.setStart(node, remaining);
+          range.collapse(true);
+          return range;
+        }
+        remaining -= node.length;
+      }
+      return 0;
+    };
+
+    return { index, anchor };
+  }
+
+  #setCounts(counts) {
+    let start = 0;
+    this.#sections = counts.map((count) => {
+      const section = { start, count };
+      start += count;
+      return section;
+    });
+    this.#total = start;
+  }
+
+  #cacheKey(book) {
+    const identifier = book?.metadata?.identifier;
+    if (typeof identifier !== "string" || !identifier || !book.sections?.length) return null;
+    // Section sizes catch a different edition or revision published under the same identifier
+    const totalSize = book.sections.reduce((sum, section) => sum + (section.size ?? 0), 0);
+    return `${CACHE_PREFIX}${LOCATION_SIZE}:${identifier}:${book.sections.length}:${totalSize}`;
+  }
+}
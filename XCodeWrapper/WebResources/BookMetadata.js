@@ -0,0 +1,98 @@
+import { debugLog } from "./DebugConfig.js";
+
+// Covers larger than this are not worth pushing across the bridge as a data URL
+const MAX_COVER_BYTES = 5 * 1024 * 1024;
+
+const CONTRIBUTOR_KEYS = ["author", "editor", "translator", "illustrator", "artist", "narrator", "contributor"];
+
+const toArray = (value) => value == null ? [] : Array.isArray(value) ? value : [value];
+
+// foliate returns either a plain string or a map of language -> string
+const formatLanguageMap = (value, language) => {
+  if (value == null) return null;
+  if (typeof value === "string") return value.trim() || null;
+  const text = (language && value[language]) ?? value.en ?? Object.values(value)[0];
+  return typeof text === "string" ? text.trim() || null : null;
+};
+
+const formatName = (entry, language) =>
+  typeof entry === "string" ? entry.trim() || null : formatLanguageMap(entry?.name, language);
+
+const normalizeContributors = (metadata, language) => {
+  const contributors = [];
+  for (const key of CONTRIBUTOR_KEYS) {
+    for (const entry of toArray(metadata[key])) {
+      const name = formatName(entry, language);
+      if (!name) continue;
+      const roles = toArray(entry?.role).filter(role => typeof role === "string" && role);
+      contributors.push({
+        name,
+        sortAs: formatLanguageMap(entry?.sortAs, language),
+        roles: roles.length > 0 ? roles : [key],
+      });
+    }
+  }
+  return contributors;
+};
+
+// belongs-to-collection: series and sets, each with an optional position (group-position)
+const normalizeCollections = (entries, language) => toArray(entries)
+  .map(entry => ({
+    name: formatName(entry, language),
+    position: entry?.position != null && entry.position !== "" ? String(entry.position) : null,
+  }))
+  .filter(entry => entry.name);
+
+const blobToDataURL = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+/**
+ * Normalize foliate's book.metadata into plain strings and arrays for Swift
+ */
+export function normalizeMetadata(metadata = {}) {
+  const languages = toArray(metadata.language).filter(language => typeof language === "string");
+  const language = languages[0] ?? null;
+  const contributors = normalizeContributors(metadata, language);
+
+  return {
+    identifier: typeof metadata.identifier === "string" ? metadata.identifier : null,
+    title: formatLanguageMap(metadata.title, language),
+    subtitle: formatLanguageMap(metadata.subtitle, language),
+    authors: contributors
+      .filter(contributor => contributor.roles.includes("author") || contributor.roles.includes("aut"))
+      .map(contributor => contributor.name),
+    contributors,
+    language,
+    languages,
+    publisher: formatName(metadata.publisher, language),
+    published: typeof metadata.published === "string" ? metadata.published : null,
+    modified: typeof metadata.modified === "string" ? metadata.modified : null,
+    description: formatLanguageMap(metadata.description, language),
+    subjects: toArray(metadata.subject).map(subject => formatName(subject, language)).filter(Boolean),
+    series: normalizeCollections(metadata.belongsTo?.series, language),
+    collections: normalizeCollections(metadata.belongsTo?.collection, language),
+    rights: formatLanguageMap(metadata.rights, language),
+  };
+}
+
+/**
+ * The book's cover as a data URL, or null when there is none or it is too large
+ */
+export async function getCoverDataURL(book) {
+  try {
+    const blob = await book?.getCover?.();
+    if (!blob) return null;
+    if (blob.size > MAX_COVER_BYTES) {
+      debugLog("FoliateManager", "Cover too large to send:", blob.size, "bytes");
+      return null;
+    }
+    return await blobToDataURL(blob);
+  } catch (error) {
+    console.warn("[BookMetadata] Failed to load cover:", error);
+    return null;
+  }
+}
@@ -17,6 +17,24 @@ class BookmarkManager {
     this.#view = view;
   }
 
+  /**
+   * Drop all per-book state when the book is closed
+   */
+  reset() {
+    debugLog("BookmarkManager", "reset()");
+    for (const spanHighlighter of this.#spanHighlighters.values()) {
+      spanHighlighter.removeAll();
+    }
+    for (const overlayer of this.#overlayers.values()) {
+      overlayer.element.remove();
+    }
+    this.#spanHighlighters.clear();
+    this.#overlayers.clear();
+    this.#userHighlights.clear();
+    this.#renderedSpanState.clear();
+    this.#view = null;
+  }
+
   setHighlightMode(mode) {
     if (this.#highlightMode === mode) return;
     debugLog("BookmarkManager", "setHighlightMode:", mode);
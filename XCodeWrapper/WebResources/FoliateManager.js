@@ -3,11 +3,19 @@ import { Overlayer } from "./foliate-js/overlayer.js";
 import { SpanHighlighter } from "./SpanHighlighter.js";
 import { debugLog } from "./DebugConfig.js";
 import BookmarkManager from "./BookmarkManager.js";
+import { FootnotePopover } from "./FootnotePopover.js";
+import { BookLocations } from "./BookLocations.js";
+import { ReadingTimeEstimator } from "./ReadingTimeEstimator.js";
+import { normalizeMetadata, getCoverDataURL } from "./BookMetadata.js";
+import { resolveTheme, getThemeCSS, markLineArt } from "./Themes.js";
+import { FontRegistry } from "./FontRegistry.js";
 
 const getCSS = ({
   lineSpacing = 1.4,
-  justify,
-  hyphenate,
+  textAlign = null,
+  hyphenate = null,
+  paragraphSpacing = null,
+  paragraphIndent = null,
   mediaActiveClass,
   fontSize = 16,
   fontFamily = null,
@@ -19,15 +27,65 @@ const getCSS = ({
   highlightThickness = 1.0,
   backgroundColor = null,
   foregroundColor = null,
+  theme = null,
+  overrideLevel = "all",
+  writingMode = null,
+  showRuby = true,
+  lineBreak = null,
+  wordBreak = null,
   customCSS = null,
 }) => {
   const activeClass = mediaActiveClass || "epub-media-overlay-active";
-  const fontFamilyCSS = fontFamily
+
+  // How much of the publisher's typography to override; colors always follow the reader
+  const overrideFontFamily = overrideLevel === "all" || overrideLevel === "font";
+  const overrideSizes = overrideLevel === "all" || overrideLevel === "sizes";
+  const overrideLayout = overrideLevel === "all";
+
+  const fontFamilyCSS = fontFamily && overrideFontFamily
     ? `font-family: ${fontFamily} !important;`
     : "";
+  const fontSizeCSS = overrideSizes ? `font-size: ${fontSize}px !important;` : "";
+  const lineHeightCSS = overrideSizes ? `line-height: ${lineSpacing} !important;` : "";
+  const spacingCSS = overrideSizes
+    ? `word-spacing: ${wordSpacing}em !important;
+        letter-spacing: ${letterSpacing}em !important;`
+    : "";
+  // Paragraph settings the reader set apply at every override level. Unset (null)
+  // alignment and hyphenation fall back to justified, hyphenated text only when
+  // overriding everything; null spacing/indent and "publisher" alignment keep the book's
+  const textAlignCSS = textAlign && textAlign !== "publisher"
+    ? `text-align: ${textAlign === "justify" ? "justify" : "start"} !important;`
+    : textAlign == null && overrideLayout ? "text-align: justify;" : "";
+  const hyphens = hyphenate ?? (overrideLayout ? true : null);
+  const hyphensCSS = hyphens == null
+    ? ""
+    : `-webkit-hyphens: ${hyphens ? "auto" : "manual"}${hyphenate == null ? "" : " !important"};
+        hyphens: ${hyphens ? "auto" : "manual"}${hyphenate == null ? "" : " !important"};
+        -webkit-hyphenate-limit-before: 3;
+        -webkit-hyphenate-limit-after: 2;
+        -webkit-hyphenate-limit-lines: 2;`;
+  const paragraphSpacingCSS = Number.isFinite(paragraphSpacing)
+    ? `margin-top: ${paragraphSpacing}em !important;
+        margin-bottom: ${paragraphSpacing}em !important;`
+    : "";
+  const paragraphIndentCSS = Number.isFinite(paragraphIndent)
+    ? `text-indent: ${paragraphIndent}em !important;`
+    : "";
+  const paragraphLayoutCSS = `${textAlignCSS}
+        ${paragraphSpacingCSS}
+        ${paragraphIndentCSS}
+        ${hyphensCSS}
+        ${overrideLayout ? `hanging-punctuation: allow-end last;
+        widows: 2;` : ""}`;
   const marginLR = `${marginLeftRight}%`;
   const marginTB = `${marginTopBottom}%`;
 
+  // A selected theme's colors win; Swift always sends resolved colors, so the
+  // explicit ones only apply when no theme is set
+  backgroundColor = theme?.backgroundColor ?? backgroundColor ?? null;
+  foregroundColor = theme?.foregroundColor ?? foregroundColor ?? null;
+
   const backgroundColorCSS = backgroundColor
     ? `background-color: ${backgroundColor} !important;`
     : "background-color: transparent !important;";
@@ -35,17 +93,31 @@ const getCSS = ({
     ? `color: ${foregroundColor} !important;`
     : "";
 
+  // CJK settings are only written when set, null keeps the book's own
+  const writingModeCSS = writingMode
+    ? `-webkit-writing-mode: ${writingMode} !important;
+        writing-mode: ${writingMode} !important;`
+    : "";
+  const lineBreakCSS = lineBreak ? `line-break: ${lineBreak} !important;` : "";
+  const wordBreakCSS = wordBreak ? `word-break: ${wordBreak} !important;` : "";
+
   return `
     @namespace epub "http://www.idpf.org/2007/ops";
     html {
         color-scheme: light dark;
         ${backgroundColor ? backgroundColorCSS : ""}
     }
-    @media (prefers-color-scheme: dark) {
+    html, body {
+        ${writingModeCSS}
+    }
+    ${showRuby ? "" : `rt, rp {
+        display: none !important;
+    }`}
+    ${theme?.linkColor ? "" : `@media (prefers-color-scheme: dark) {
         a:link {
             color: lightblue;
         }
-    }
+    }`}
     body {
         padding-left: ${marginLR} !important;
         padding-right: ${marginLR} !important;
@@ -53,40 +125,31 @@ const getCSS = ({
         ${foregroundColorCSS}
     }
     p, li, blockquote, dd {
-        font-size: ${fontSize}px !important;
+        ${fontSizeCSS}
         ${fontFamilyCSS}
-        line-height: ${lineSpacing} !important;
-        text-align: ${justify ? "justify" : "start"};
-        -webkit-hyphens: ${hyphenate ? "auto" : "manual"};
-        hyphens: ${hyphenate ? "auto" : "manual"};
-        -webkit-hyphenate-limit-before: 3;
-        -webkit-hyphenate-limit-after: 2;
-        -webkit-hyphenate-limit-lines: 2;
-        hanging-punctuation: allow-end last;
-        widows: 2;
-        word-spacing: ${wordSpacing}em !important;
-        letter-spacing: ${letterSpacing}em !important;
+        ${lineHeightCSS}
+        ${paragraphLayoutCSS}
+        ${spacingCSS}
+        ${lineBreakCSS}
+        ${wordBreakCSS}
         ${foregroundColorCSS}
     }
     div {
-        font-size: ${fontSize}px !important;
+        ${fontSizeCSS}
         ${fontFamilyCSS}
-        line-height: ${lineSpacing} !important;
-        word-spacing: ${wordSpacing}em !important;
-        letter-spacing: ${letterSpacing}em !important;
+        ${lineHeightCSS}
+        ${spacingCSS}
         ${foregroundColorCSS}
     }
     span, em, strong, i, b {
-        line-height: ${lineSpacing} !important;
+        ${lineHeightCSS}
         ${fontFamilyCSS}
-        word-spacing: ${wordSpacing}em !important;
-        letter-spacing: ${letterSpacing}em !important;
+        ${spacingCSS}
         ${foregroundColorCSS}
     }
     h1, h2, h3, h4, h5, h6 {
         ${fontFamilyCSS}
-        word-spacing: ${wordSpacing}em !important;
-        letter-spacing: ${letterSpacing}em !important;
+        ${spacingCSS}
         ${foregroundColorCSS}
     }
     [align="left"] { text-align: left; }
@@ -96,10 +159,9 @@ const getCSS = ({
     pre {
         white-space: pre-wrap !important;
     }
-    aside[epub|type~="endnote"],
+    /* Inline notes are shown in a popover from their noteref; endnote sections stay readable */
     aside[epub|type~="footnote"],
-    aside[epub|type~="note"],
-    aside[epub|type~="rearnote"] {
+    aside[epub|type~="note"] {
         display: none;
     }
     .${activeClass},
@@ -112,10 +174,16 @@ const getCSS = ({
         position: relative !important;
         z-index: 1 !important;
     }
+    ${getThemeCSS(theme)}
     ${customCSS || ""}
 `;
 };
 
+const MAX_HISTORY_ENTRIES = 50;
+const GENERIC_FONT_FAMILIES = ["serif", "sans-serif", "monospace", "cursive", "fantasy", "system-ui"];
+// Relocate events this long after readaloud navigates are readaloud's, not the reader's
+const MEDIA_OVERLAY_NAV_MS = 1000;
+
 /**
  * FoliateManager - Thin wrapper around foliate-view
  *
@@ -140,6 +208,17 @@ class FoliateManager {
   #highlightThickness = 1.0;
   #backgroundColor = null;
   #foregroundColor = null;
+  #theme = null;
+  #overrideLevel = "all";
+  #textAlign = null;
+  #hyphenate = null;
+  #hyphenationLanguage = null;
+  #paragraphSpacing = null;
+  #paragraphIndent = null;
+  #writingMode = null;
+  #showRuby = true;
+  #lineBreak = null;
+  #wordBreak = null;
   #customCSS = null;
   #readaloudOverlayers = new Map();
   #readaloudHighlightMode = "background";
@@ -147,42 +226,154 @@ class FoliateManager {
   #lastSpanHighlightedElement = null;
   #lastSpanHighlightedColor = null;
   #singleColumnMode = false;
+  #columns = null;
+  #targetMeasure = 66;
+  #maxLineLength = null;
+  #activeColumnCount = 1;
+  #activeInlineSize = null;
+  #charWidthCache = new Map();
+  #flow = "paginated";
+  #fixedLayoutSpread = "auto";
+  #publisherSpread = null;
+  #fixedLayoutZoom = "fit-page";
   #enableMarginClickNavigation = true;
   #lastRelocateRange = null;
+  #lastRelocateCfi = null;
+  #lastRelocateDetail = null;
+  #mediaOverlayNavUntil = 0;
   #highlightedElement = null;
   #highlightedSectionIndex = null;
   #resizeHandler = null;
   #pendingHighlight = null;
+  #historyBack = [];
+  #historyForward = [];
+  #pageList = [];
+  #tocItemIds = new Map();
   #bookmarkManager = (() => {
     console.log("[FoliateManager] Creating BookmarkManager instance");
     return new BookmarkManager();
   })();
+  #footnotePopover = new FootnotePopover();
+  #locations = new BookLocations();
+  #readingTime = new ReadingTimeEstimator();
+  #fontRegistry = new FontRegistry();
 
-  async open(file) {
-    debugLog("FoliateManager", "open() called with file:", file.name);
+  /**
+   * Open a book in a new foliate-view, replacing the current one
+   * When `signal` is aborted while opening, the half-opened book is closed
+   */
+  async open(book, { signal = null } = {}) {
+    debugLog("FoliateManager", "open() called with:", book.name ?? book.metadata?.title);
+
+    if (this.#view) {
+      debugLog("FoliateManager", "Closing previous book before opening");
+      this.closeBook();
+    }
 
-    this.#view = document.createElement("foliate-view");
-    this.#view.setAttribute("flow", "paginated");
+    const view = document.createElement("foliate-view");
+    view.setAttribute("flow", this.#flow);
+    this.#view = view;
 
     const container = document.getElementById("reader-container");
-    container.appendChild(this.#view);
+    container.appendChild(view);
 
     debugLog("FoliateManager", "Setting up event listeners");
     this.#attachEventListeners();
 
+    this.#publisherSpread = book.rendition?.spread ?? null;
+    this.#applySpreadToBook(book);
+
     debugLog("FoliateManager", "Opening file in foliate-view...");
-    await this.#view.open(file);
+    await view.open(book);
+
+    if (this.#abandonOpen(view, signal)) return;
 
-    this.#bookmarkManager.setView(this.#view);
+    this.#bookmarkManager.setView(view);
+    this.#footnotePopover.setView(view);
+    this.#buildPageList();
+    this.#locations.restore(view.book);
+    this.#readingTime.setBook(view.book);
 
     debugLog("FoliateManager", "Book opened, reporting structure to Swift");
-    await this.#reportBookStructureReady();
+    this.#reportBookStructureReady();
+    this.#reportBookCover(view);
+
+    if (!this.#locations.isReady) {
+      this.#computeLocations(view);
+    }
 
     debugLog("FoliateManager", "Initialization complete");
   }
 
+  /**
+   * Check after each await in open() whether the book should stop opening
+   * A cancelled load closes the view; a replaced one is left to its successor
+   */
+  #abandonOpen(view, signal) {
+    if (this.#view !== view) {
+      debugLog("FoliateManager", "Book was closed or replaced while opening");
+      return true;
+    }
+    if (signal?.aborted) {
+      debugLog("FoliateManager", "Load cancelled while opening, closing book");
+      this.closeBook();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Tear down the current book so the web view can be reused for another one
+   * Safe to call when no book is open
+   */
+  closeBook() {
+    debugLog("FoliateManager", "closeBook()");
+    if (!this.#view) return;
+
+    this.clearHighlight();
+    for (const overlayer of this.#readaloudOverlayers.values()) {
+      overlayer.element.remove();
+    }
+    this.#readaloudOverlayers.clear();
+    this.#readaloudSpanHighlighter.removeAll();
+    this.#lastSpanHighlightedColor = null;
+    this.#bookmarkManager.reset();
+    this.#footnotePopover.setView(null);
+
+    if (this.#resizeHandler) {
+      window.removeEventListener("resize", this.#resizeHandler);
+      this.#resizeHandler = null;
+    }
+    this.#activeColumnCount = 1;
+    this.#activeInlineSize = null;
+
+    this.#pendingHighlight = null;
+    this.#lastRelocateRange = null;
+    this.#lastRelocateCfi = null;
+    this.#lastRelocateDetail = null;
+    this.#historyBack = [];
+    this.#historyForward = [];
+    this.#reportHistoryChanged();
+    this.#pageList = [];
+    this.#tocItemIds.clear();
+    this.#locations.reset();
+    this.#readingTime.reset();
+
+    const view = this.#view;
+    this.#view = null;
+    try {
+      view.close?.();
+    } catch (error) {
+      console.warn("[FM2] Error closing foliate-view:", error);
+    }
+    view.remove();
+
+    debugLog("FoliateManager", "Book closed");
+  }
+
   #attachEventListeners() {
     this.#view.addEventListener("relocate", ({ detail }) => {
+      this.#footnotePopover.hide();
       this.#reportRelocate(detail);
     });
 
@@ -190,11 +381,24 @@ class FoliateManager {
       this.#reportPageFlip(detail);
     });
 
+    this.#view.addEventListener("link", (event) => {
+      this.#handleLink(event);
+    });
+
+    this.#view.addEventListener("external-link", (event) => {
+      this.#handleExternalLink(event);
+    });
+
     let clickTimer = null;
 
     this.#view.addEventListener("load", ({ detail }) => {
       const { doc, index } = detail;
       if (doc) {
+        this.#fontRegistry.apply(doc);
+        this.#applyLanguageOverride(doc);
+        // Column widths are measured in the section's own fonts once they're usable
+        doc.fonts?.ready.then(() => this.#updateColumnLayout());
+
         let isDragging = false;
 
         doc.addEventListener("touchmove", (event) => {
@@ -215,6 +419,16 @@ class FoliateManager {
         });
 
         doc.addEventListener("click", (event) => {
+          if (this.#footnotePopover.isOpen) {
+            this.#footnotePopover.hide();
+            return;
+          }
+
+          // Links are handled through the view's link events, never as page taps
+          if (event.target.closest?.("a[href]")) {
+            return;
+          }
+
           if (clickTimer !== null) {
             clearTimeout(clickTimer);
             clickTimer = null;
@@ -251,13 +465,57 @@ class FoliateManager {
         });
 
         this.#bookmarkManager.setupSection(index, doc);
+
+        if (this.#theme?.imagePolicy === "invert-line-art") {
+          markLineArt(doc);
+        }
       }
     });
 
     debugLog("FoliateManager", "Event listeners attached");
   }
 
-  #reportRelocate(detail) {
+  // Internal links are followed by foliate-view after this event unless cancelled
+  #handleLink(event) {
+    const { a, href } = event.detail;
+    if (this.#footnotePopover.isNoteref(a)) {
+      event.preventDefault();
+      this.#footnotePopover.show(a, href).then(shown => {
+        if (!shown) {
+          debugLog("FoliateManager", "Footnote not found, following link:", href);
+          this.goTo(href, true);
+        }
+      });
+      return;
+    }
+    debugLog("FoliateManager", "Internal link:", href);
+    this.#recordHistory();
+  }
+
+  // External links are never opened from the web view; Swift decides what to do
+  #handleExternalLink(event) {
+    event.preventDefault();
+    const { a, href } = event.detail;
+    const text = a?.textContent?.trim() ?? "";
+
+    let scheme = "";
+    try {
+      scheme = new URL(href).protocol.slice(0, -1).toLowerCase();
+    } catch {
+      console.warn("[FM2] Unparseable external link:", href);
+    }
+
+    debugLog("FoliateManager", `External link (${scheme}):`, href);
+
+    if (scheme === "http" || scheme === "https") {
+      window.webkit?.messageHandlers?.ExternalLinkTapped?.postMessage({ href, text });
+    } else {
+      window.webkit?.messageHandlers?.OtherLinkTapped?.postMessage({ href, scheme, text });
+    }
+  }
+
+  // `replay` re-sends the current position with fresh data; it isn't a new reading position
+  #reportRelocate(detail, { replay = false } = {}) {
     debugLog("trace", "[FM2] Relocate event");
 
     if (!detail || !detail.cfi) {
@@ -268,21 +526,16 @@ class FoliateManager {
     this.#bookmarkManager.redrawAllOverlayers();
 
     this.#lastRelocateRange = detail.range || null;
+    this.#lastRelocateCfi = detail.cfi;
+    this.#lastRelocateDetail = detail;
     debugLog("trace", "[FM2] Stored relocate range:", this.#lastRelocateRange ? "available" : "null");
 
     const sectionIndex = detail.section?.current;
-    const rawPage = this.#view?.renderer?.page;
-    const rawPages = this.#view?.renderer?.pages;
-
-    const textPages = typeof rawPages === 'number' && Number.isFinite(rawPages) && rawPages > 0
-        ? Math.max(1, Math.round(rawPages - 2))
-        : null;
-
-    const pageIndex = typeof rawPage === 'number' && Number.isFinite(rawPage) && textPages != null
-        ? Math.max(0, Math.min(textPages - 1, Math.round(rawPage - 1))) + 1
-        : null;
-
-    const totalPages = textPages;
+    const { pageIndex, totalPages } = this.#getPageInfo();
+    const pageLabels = this.#getPageLabels(detail);
+    const location = sectionIndex != null
+      ? this.#locations.locationForRange(sectionIndex, detail.range)
+      : null;
 
     const href = sectionIndex != null
       ? this.#view?.book?.sections?.[sectionIndex]?.id || null
@@ -304,6 +557,18 @@ class FoliateManager {
       chapterFraction = sectionSize > 0 ? (detail.fraction - sectionStart) / sectionSize : 0;
     }
 
+    if (Date.now() < this.#mediaOverlayNavUntil) {
+      this.#readingTime.skipPosition(detail.fraction);
+    } else if (!replay) {
+      this.#readingTime.recordPosition(detail.fraction);
+    }
+    const { chapterTimeRemaining, bookTimeRemaining } = this.#readingTime.estimate({
+      fraction: detail.fraction,
+      chapterFraction,
+      sectionIndex,
+      sectionFractions,
+    });
+
     const payload = {
       sectionIndex: sectionIndex,
       pageIndex: pageIndex,
@@ -313,6 +578,12 @@ class FoliateManager {
       fraction: bookFraction,
       chapterFraction: chapterFraction,
       title: detail.tocItem?.label || null,
+      tocItemId: this.#tocItemIds.get(detail.tocItem) ?? null,
+      pageLabels: pageLabels,
+      location: location,
+      totalLocations: this.#locations.total,
+      chapterTimeRemaining: chapterTimeRemaining,
+      bookTimeRemaining: bookTimeRemaining,
     };
 
     window.webkit?.messageHandlers?.Relocated?.postMessage(payload);
@@ -326,11 +597,115 @@ class FoliateManager {
     }
   }
 
+  get #isFixedLayout() {
+    return this.#view?.isFixedLayout
+      ?? this.#view?.book?.rendition?.layout === "pre-paginated";
+  }
+
+  #getPageInfo() {
+    const renderer = this.#view?.renderer;
+
+    // Scrolled sections have no blank lead/trail pages; count screens from the scroll offset
+    if (renderer?.scrolled) {
+      const { start, size, viewSize } = renderer;
+      if (![start, size, viewSize].every(Number.isFinite) || size <= 0) {
+        return { pageIndex: null, totalPages: null };
+      }
+      const totalPages = Math.max(1, Math.ceil(viewSize / size));
+      const pageIndex = Math.min(totalPages, Math.floor(start / size) + 1);
+      return { pageIndex, totalPages };
+    }
+
+    const rawPage = renderer?.page;
+    const rawPages = renderer?.pages;
+
+    const textPages = typeof rawPages === 'number' && Number.isFinite(rawPages) && rawPages > 0
+        ? Math.max(1, Math.round(rawPages - 2))
+        : null;
+
+    const pageIndex = typeof rawPage === 'number' && Number.isFinite(rawPage) && textPages != null
+        ? Math.max(0, Math.min(textPages - 1, Math.round(rawPage - 1))) + 1
+        : null;
+
+    return { pageIndex, totalPages: textPages };
+  }
+
+  // Resolve the EPUB page-list once per book so relocates only compare anchors
+  #buildPageList() {
+    const book = this.#view?.book;
+    const items = book?.pageList ?? [];
+
+    this.#pageList = items
+      .filter(item => item?.label && item?.href)
+      .map(item => {
+        const resolved = book.resolveHref?.(item.href);
+        return {
+          label: item.label.trim(),
+          href: item.href,
+          sectionIndex: resolved?.index ?? null,
+          anchor: resolved?.anchor ?? null,
+        };
+      });
+
+    debugLog("FoliateManager", "Page list:", this.#pageList.length, "entries");
+  }
+
+  // Print page labels on screen: the page the view starts in, then any page breaks inside it
+  #getPageLabels(detail) {
+    if (this.#pageList.length === 0) return [];
+
+    const labels = [];
+    const startLabel = detail.pageItem?.label?.trim();
+    if (startLabel) labels.push(startLabel);
+
+    const range = detail.range;
+    const sectionIndex = detail.section?.current;
+    const doc = range?.startContainer?.ownerDocument;
+    if (!range || sectionIndex == null || !doc) return labels;
+
+    for (const item of this.#pageList) {
+      if (item.sectionIndex !== sectionIndex || labels.includes(item.label)) continue;
+      try {
+        const target = item.anchor?.(doc);
+        if (!target) continue;
+        // The page break is where its marker starts, not wherever the marker element ends
+        const point = target.nodeType ? doc.createRange() : target;
+        if (target.nodeType) point.selectNode(target);
+        if (range.isPointInRange(point.startContainer, point.startOffset)) labels.push(item.label);
+      } catch (error) {
+        debugLog("trace", "[FM2] Failed to resolve page-list anchor:", item.href, error);
+      }
+    }
+
+    return labels;
+  }
+
+  // Count locations in the background, then re-send Relocated so the current
+  // position carries its location without waiting for the next page turn
+  async #computeLocations(view) {
+    const isCancelled = () => this.#view !== view;
+    const finished = await this.#locations.compute(view.book, isCancelled);
+    if (!finished) {
+      debugLog("FoliateManager", "Location computation cancelled");
+      return;
+    }
+
+    window.webkit?.messageHandlers?.LocationsReady?.postMessage({
+      totalLocations: this.#locations.total,
+    });
+    if (this.#lastRelocateDetail) {
+      this.#reportRelocate(this.#lastRelocateDetail, { replay: true });
+    }
+  }
+
   #reportBookStructureReady() {
+    const view = this.#view;
     const bookSections = this.#view?.book?.sections || [];
     const toc = this.#view?.book?.toc || [];
 
     const tocMap = this.#buildTOCMap(toc);
+    this.#tocItemIds.clear();
+    const tocTree = this.#buildTOCTree(toc);
 
     const sections = bookSections.map((section, index) => {
       const tocEntry = tocMap.get(section.id);
@@ -344,12 +719,44 @@ class FoliateManager {
       };
     });
 
+    const metadata = normalizeMetadata(view?.book?.metadata);
+
     debugLog("FoliateManager", "Book structure ready -", sections.length, "sections");
 
-    const payload = { sections };
+    const payload = {
+      sections,
+      layout: this.#isFixedLayout ? "pre-paginated" : "reflowable",
+      metadata,
+      toc: tocTree,
+      totalLocations: this.#locations.total,
+      pageList: this.#pageList.map(({ label, href, sectionIndex }) => ({ label, href, sectionIndex })),
+    };
     window.webkit?.messageHandlers?.BookStructureReady?.postMessage(payload);
   }
 
+  // Covers can be large, so they follow BookStructureReady instead of holding it up
+  async #reportBookCover(view) {
+    const cover = await getCoverDataURL(view.book);
+    if (this.#view !== view || !cover) return;
+    window.webkit?.messageHandlers?.BookCover?.postMessage({ cover });
+  }
+
+  /**
+   * Base reading time estimates on narration instead of reading pace
+   * Expects {sectionDurations: [seconds per section index], playbackRate}
+   */
+  setReadaloudTiming(jsonString) {
+    let timing;
+    try {
+      timing = JSON.parse(jsonString);
+    } catch (error) {
+      console.error("[FM2] Failed to parse readaloud timing JSON:", error);
+      return;
+    }
+    debugLog("FoliateManager", "setReadaloudTiming() - rate:", timing.playbackRate);
+    this.#readingTime.setReadaloudTiming(timing);
+  }
+
   #reportOverlayToggle() {
     window.webkit?.messageHandlers?.OverlayToggled?.postMessage({});
   }
@@ -360,18 +767,59 @@ class FoliateManager {
       return;
     }
 
-    const pageWidth = this.#singleColumnMode
-      ? window.innerWidth
-      : Math.floor(window.innerWidth / 2);
-
     const marginZonePercent = 0.15;
-    const leftZone = pageWidth * marginZonePercent;
-    const rightZone = pageWidth * (1 - marginZonePercent);
-    const clickX = event.clientX % pageWidth;
 
-    if (clickX < leftZone) {
+    // Fixed-layout pages are scaled iframes, so map the tap into window coordinates
+    // and treat the whole spread as one page
+    if (this.#isFixedLayout) {
+      const frame = event.view?.frameElement;
+      const frameRect = frame?.getBoundingClientRect();
+      const scale = frameRect && frame.offsetWidth ? frameRect.width / frame.offsetWidth : 1;
+      const clickX = (frameRect?.left ?? 0) + event.clientX * scale;
+      if (clickX < window.innerWidth * marginZonePercent) {
+        this.#handleMarginClickNavigation("left");
+      } else if (clickX > window.innerWidth * (1 - marginZonePercent)) {
+        this.#handleMarginClickNavigation("right");
+      } else {
+        this.#reportOverlayToggle();
+      }
+      return;
+    }
+
+    // In scrolled flow the margins are the top and bottom of the screen; clientY is
+    // relative to the section iframe, which scrolls with the content
+    if (this.#flow === "scrolled") {
+      const frameTop = event.view?.frameElement?.getBoundingClientRect().top ?? 0;
+      const clickY = frameTop + event.clientY;
+      if (clickY < window.innerHeight * marginZonePercent) {
+        this.#handleMarginClickNavigation("left");
+      } else if (clickY > window.innerHeight * (1 - marginZonePercent)) {
+        this.#handleMarginClickNavigation("right");
+      } else {
+        this.#reportOverlayToggle();
+      }
+      return;
+    }
+
+    // Zones follow the columns actually laid out: the paginator centers its columns,
+    // each at most max-inline-size wide, in the renderer. Taps are mapped from the
+    // section iframe into that area; taps in the gutters beside it count as margins.
+    const renderer = this.#view?.renderer;
+    const rendererRect = renderer?.getBoundingClientRect?.();
+    const frameRect = event.view?.frameElement?.getBoundingClientRect();
+    const rendererWidth = rendererRect?.width || window.innerWidth;
+    const areaWidth = Math.min(renderer?.size || rendererWidth, rendererWidth);
+    const areaLeft = (rendererRect?.left ?? 0) + (rendererWidth - areaWidth) / 2;
+    const columnCount = this.#activeInlineSize
+      ? Math.max(1, Math.min(this.#activeColumnCount, Math.ceil(areaWidth / this.#activeInlineSize)))
+      : this.#activeColumnCount;
+    const columnWidth = areaWidth / columnCount;
+    const x = (frameRect?.left ?? 0) + event.clientX - areaLeft;
+    const columnX = x - Math.floor(x / columnWidth) * columnWidth;
+
+    if (x < 0 || (x < areaWidth && columnX < columnWidth * marginZonePercent)) {
       this.#handleMarginClickNavigation("left");
-    } else if (clickX > rightZone) {
+    } else if (x >= areaWidth || columnX > columnWidth * (1 - marginZonePercent)) {
       this.#handleMarginClickNavigation("right");
     } else {
       this.#reportOverlayToggle();
@@ -427,6 +875,24 @@ class FoliateManager {
     });
   }
 
+  // Nested TOC with fragment hrefs; ids are assigned in reading order and
+  // match the tocItemId reported in Relocated
+  #buildTOCTree(items, level = 0) {
+    const book = this.#view?.book;
+    return items.map((item) => {
+      const id = this.#tocItemIds.size;
+      this.#tocItemIds.set(item, id);
+      return {
+        id: id,
+        label: item.label?.trim() || "",
+        href: item.href || null,
+        sectionIndex: item.href ? book?.resolveHref?.(item.href)?.index ?? null : null,
+        level: level,
+        children: item.subitems?.length ? this.#buildTOCTree(item.subitems, level + 1) : [],
+      };
+    });
+  }
+
   #buildTOCMap(items, level = 0, map = new Map()) {
     for (const item of items) {
       if (item.href) {
@@ -452,24 +918,150 @@ class FoliateManager {
     this.#view.goLeft();
   }
 
-  goRight() {
+  // `fromMediaOverlay` marks readaloud auto-flips, which don't count towards reading pace
+  goRight(fromMediaOverlay = false) {
     debugLog("FoliateManager", "goRight()");
     if (!this.#view) {
       console.warn("[FM2] goRight() called but view not initialized");
       return;
     }
+    if (fromMediaOverlay) this.#markMediaOverlayNavigation();
     this.#view.goRight();
   }
 
-  goTo(href) {
+  #markMediaOverlayNavigation() {
+    this.#mediaOverlayNavUntil = Date.now() + MEDIA_OVERLAY_NAV_MS;
+  }
+
+  /**
+   * Section navigation in reading order; non-linear spine items (popups,
+   * answer keys) are skipped. Each returns false when there is nowhere to go.
+   */
+  async nextSection() {
+    debugLog("FoliateManager", "nextSection()");
+    const current = this.#getCurrentSectionIndex();
+    if (current == null) return false;
+    const next = this.#getLinearSectionIndices().find(index => index > current);
+    return next != null ? this.goToSection(next) : false;
+  }
+
+  async prevSection() {
+    debugLog("FoliateManager", "prevSection()");
+    const current = this.#getCurrentSectionIndex();
+    if (current == null) return false;
+    const prev = this.#getLinearSectionIndices().findLast(index => index < current);
+    return prev != null ? this.goToSection(prev) : false;
+  }
+
+  // Screen-direction variants for arrow keys and buttons, following page progression
+  async goLeftSection() {
+    return this.#view?.book?.dir === "rtl" ? this.nextSection() : this.prevSection();
+  }
+
+  async goRightSection() {
+    return this.#view?.book?.dir === "rtl" ? this.prevSection() : this.nextSection();
+  }
+
+  async goToSection(index) {
+    debugLog("FoliateManager", "goToSection() - index:", index);
+    if (!this.#view) {
+      console.warn("[FM2] goToSection() called but view not initialized");
+      return false;
+    }
+    const sections = this.#view.book?.sections ?? [];
+    if (!Number.isInteger(index) || index < 0 || index >= sections.length) {
+      console.warn("[FM2] goToSection() - invalid index:", index);
+      return false;
+    }
+    this.#recordHistory();
+    await this.#view.goTo(index);
+    return true;
+  }
+
+  async goToTOCItem(id) {
+    debugLog("FoliateManager", "goToTOCItem() - id:", id);
+    const item = [...this.#tocItemIds].find(([, itemId]) => itemId === id)?.[0];
+    if (!item?.href) {
+      console.warn("[FM2] goToTOCItem() - no TOC item with id:", id);
+      return false;
+    }
+    this.goTo(item.href, true);
+    return true;
+  }
+
+  #getCurrentSectionIndex() {
+    return this.#view?.renderer?.getContents?.()?.[0]?.index ?? null;
+  }
+
+  #getLinearSectionIndices() {
+    return (this.#view?.book?.sections ?? [])
+      .map((section, index) => section.linear !== "no" ? index : null)
+      .filter(index => index != null);
+  }
+
+  /**
+   * Navigate to an href. Pass `recordHistory` only for user-initiated jumps;
+   * position sync from Swift must not fill the back/forward history
+   */
+  goTo(href, recordHistory = false) {
     debugLog("FoliateManager", "goTo() - href:", href);
     if (!this.#view) {
       console.warn("[FM2] goTo() called but view not initialized");
       return;
     }
+    if (recordHistory) this.#recordHistory();
     this.#view.goTo(href);
   }
 
+  // MARK: - Navigation history
+
+  /**
+   * Push the current position before a user-initiated jump (links, TOC, page labels,
+   * search results). Page turns, audio-driven navigation and position sync don't call this
+   */
+  #recordHistory() {
+    const cfi = this.#lastRelocateCfi;
+    if (!cfi) return;
+
+    if (this.#historyBack[this.#historyBack.length - 1] !== cfi) {
+      this.#historyBack.push(cfi);
+      if (this.#historyBack.length > MAX_HISTORY_ENTRIES) {
+        this.#historyBack.shift();
+      }
+    }
+    this.#historyForward = [];
+    this.#reportHistoryChanged();
+  }
+
+  #reportHistoryChanged() {
+    window.webkit?.messageHandlers?.NavigationHistoryChanged?.postMessage({
+      canGoBack: this.#historyBack.length > 0,
+      canGoForward: this.#historyForward.length > 0,
+    });
+  }
+
+  async goBack() {
+    debugLog("FoliateManager", "goBack()");
+    if (!this.#view || !this.#historyBack.length) return false;
+
+    const cfi = this.#historyBack.pop();
+    if (this.#lastRelocateCfi) this.#historyForward.push(this.#lastRelocateCfi);
+    this.#reportHistoryChanged();
+    await this.#view.goTo(cfi);
+    return true;
+  }
+
+  async goForward() {
+    debugLog("FoliateManager", "goForward()");
+    if (!this.#view || !this.#historyForward.length) return false;
+
+    const cfi = this.#historyForward.pop();
+    if (this.#lastRelocateCfi) this.#historyBack.push(this.#lastRelocateCfi);
+    this.#reportHistoryChanged();
+    await this.#view.goTo(cfi);
+    return true;
+  }
+
   async goToFractionInSection(sectionIndex, fraction) {
     debugLog("FoliateManager", `goToFractionInSection(${sectionIndex}, ${fraction})`);
     if (!this.#view) {
@@ -530,8 +1122,66 @@ class FoliateManager {
     };
   }
 
+  /**
+   * Register user fonts once; they are added to every section document as it
+   * loads and can then be used by family name (fontFamily, customCSS).
+   * Expects a JSON array of {family, weight, style, data} with base64 data.
+   * Fonts stay registered across books.
+   */
+  registerFonts(jsonString) {
+    let fonts;
+    try {
+      fonts = JSON.parse(jsonString);
+    } catch (error) {
+      console.error("[FM2] Failed to parse fonts JSON:", error);
+      return;
+    }
+    debugLog("FoliateManager", "registerFonts() -", Array.isArray(fonts) ? fonts.length : 0, "fonts");
+    if (!Array.isArray(fonts)) return;
+    this.#fontRegistry.register(fonts, this.#getLoadedDocs());
+  }
+
+  // Remove registered fonts; all of them when no families are given
+  unregisterFonts(families = null) {
+    debugLog("FoliateManager", "unregisterFonts()", families ?? "all");
+    this.#fontRegistry.unregister(families);
+  }
+
+  // Hyphenation follows the document language; some books declare the wrong one.
+  // Every element carrying lang or xml:lang is overridden, not just html and body,
+  // and the original attributes are kept so clearing the override restores them.
+  #applyLanguageOverride(doc) {
+    const XML_NS = "http://www.w3.org/XML/1998/namespace";
+    const elements = new Set([
+      doc.documentElement,
+      doc.body,
+      ...doc.querySelectorAll("[*|lang], [data-silveran-lang]"),
+    ]);
+    for (const el of elements) {
+      if (!el) continue;
+      if (!("silveranLang" in el.dataset)) {
+        el.dataset.silveranLang = el.getAttribute("lang") ?? "";
+        el.dataset.silveranXmlLang = el.getAttributeNS(XML_NS, "lang") ?? "";
+      }
+
+      const lang = this.#hyphenationLanguage;
+      const langValue = lang ?? el.dataset.silveranLang;
+      const xmlLangValue = lang ?? el.dataset.silveranXmlLang;
+      if (langValue) el.setAttribute("lang", langValue);
+      else el.removeAttribute("lang");
+      if (xmlLangValue) el.setAttributeNS(XML_NS, "xml:lang", xmlLangValue);
+      else el.removeAttributeNS(XML_NS, "lang");
+    }
+  }
+
+  #getLoadedDocs() {
+    return (this.#view?.renderer?.getContents?.() ?? [])
+      .map(({ doc }) => doc)
+      .filter(Boolean);
+  }
+
   updateStyles(jsonString) {
-    // Don't log full jsonString - customCSS contains huge base64 font data
+    // Don't log full jsonString - user customCSS can be long
     try {
       const parsed = JSON.parse(jsonString);
       const { customCSS, ...rest } = parsed;
@@ -595,9 +1245,90 @@ class FoliateManager {
     if ("foregroundColor" in styles) {
       this.#foregroundColor = styles.foregroundColor;
     }
+    if ("theme" in styles) {
+      const theme = resolveTheme(styles.theme);
+      if (theme === undefined) {
+        console.warn("[FM2] Unknown theme:", styles.theme);
+      } else {
+        this.#theme = theme;
+      }
+    }
+    // What the reader's settings override in the publisher's CSS:
+    // "none" keeps the book's typography, "font" only the font family, "sizes" only
+    // font size, line height and spacing, "all" everything. Paragraph settings the
+    // reader set (textAlign, hyphenate, paragraphSpacing/Indent) apply at every level
+    if (["none", "font", "sizes", "all"].includes(styles.overrideLevel)) {
+      this.#overrideLevel = styles.overrideLevel;
+    }
+    if ("textAlign" in styles) {
+      this.#textAlign = ["start", "justify", "publisher"].includes(styles.textAlign)
+        ? styles.textAlign
+        : null;
+    }
+    if ("hyphenate" in styles) {
+      this.#hyphenate = typeof styles.hyphenate === "boolean" ? styles.hyphenate : null;
+    }
+    if ("hyphenationLanguage" in styles) {
+      this.#hyphenationLanguage = styles.hyphenationLanguage || null;
+    }
+    if ("paragraphSpacing" in styles) {
+      this.#paragraphSpacing = Number.isFinite(styles.paragraphSpacing) ? styles.paragraphSpacing : null;
+    }
+    if ("paragraphIndent" in styles) {
+      this.#paragraphIndent = Number.isFinite(styles.paragraphIndent) ? styles.paragraphIndent : null;
+    }
+    // foliate picks the page axis when a section loads, so a changed writing
+    // mode reloads the current section below
+    const previousWritingMode = this.#writingMode;
+    if ("writingMode" in styles) {
+      this.#writingMode = ["horizontal-tb", "vertical-rl", "vertical-lr"].includes(styles.writingMode)
+        ? styles.writingMode
+        : null;
+    }
+    if (typeof styles.showRuby === "boolean") {
+      this.#showRuby = styles.showRuby;
+    }
+    if ("lineBreak" in styles) {
+      this.#lineBreak = ["auto", "loose", "normal", "strict", "anywhere"].includes(styles.lineBreak)
+        ? styles.lineBreak
+        : null;
+    }
+    if ("wordBreak" in styles) {
+      this.#wordBreak = ["normal", "break-all", "keep-all"].includes(styles.wordBreak)
+        ? styles.wordBreak
+        : null;
+    }
     if ("customCSS" in styles) {
       this.#customCSS = styles.customCSS;
     }
+    const previousSpread = this.#fixedLayoutSpread;
+    if (["auto", "none", "both"].includes(styles.fixedLayoutSpread)) {
+      this.#fixedLayoutSpread = styles.fixedLayoutSpread;
+    }
+    if (styles.fixedLayoutZoom === "fit-width" || styles.fixedLayoutZoom === "fit-page" ||
+        Number.isFinite(styles.fixedLayoutZoom)) {
+      this.#fixedLayoutZoom = styles.fixedLayoutZoom;
+    }
+    const previousFlow = this.#flow;
+    if (styles.flow === "paginated" || styles.flow === "scrolled") {
+      this.#flow = styles.flow;
+    }
+    if (styles.footnoteDisplay !== undefined && styles.footnoteDisplay !== null) {
+      this.#footnotePopover.setDisplayMode(styles.footnoteDisplay);
+    }
+    if ("columns" in styles) {
+      this.#columns = styles.columns === "auto" || [1, 2, 3].includes(styles.columns)
+        ? styles.columns
+        : null;
+    }
+    if (Number.isFinite(styles.targetMeasure) && styles.targetMeasure > 0) {
+      this.#targetMeasure = styles.targetMeasure;
+    }
+    if ("maxLineLength" in styles) {
+      this.#maxLineLength = Number.isFinite(styles.maxLineLength) && styles.maxLineLength > 0
+        ? styles.maxLineLength
+        : null;
+    }
     if (styles.singleColumnMode !== undefined && styles.singleColumnMode !== null) {
       this.#singleColumnMode = styles.singleColumnMode;
     }
@@ -608,16 +1339,56 @@ class FoliateManager {
       this.#bookmarkManager.setHighlightMode(styles.userHighlightMode);
     }
 
+    const cfi = this.#lastRelocateCfi;
     this.#applyStylesToRenderer();
+    if (this.#flow !== previousFlow && cfi && !this.#isFixedLayout) {
+      debugLog("FoliateManager", `Flow changed to ${this.#flow}, restoring position`);
+      this.#view.goTo(cfi);
+    }
+    if (this.#writingMode !== previousWritingMode && !this.#isFixedLayout) {
+      this.#reopenRenderer(`writing mode changed to ${this.#writingMode ?? "the book's"}`);
+    }
+    if (this.#fixedLayoutSpread !== previousSpread && this.#isFixedLayout) {
+      this.#applySpreadToBook(this.#view.book);
+      this.#reopenRenderer(`spread changed to ${this.#fixedLayoutSpread}`);
+    }
     this.#refreshReadaloudHighlight();
   }
 
+  /**
+   * Replace foliate's renderer for the open book and return to the current position
+   * For settings foliate only reads when a book or section is opened; going to a CFI
+   * in the section already shown doesn't reload it
+   */
+  async #reopenRenderer(reason) {
+    const view = this.#view;
+    const cfi = this.#lastRelocateCfi;
+    if (!view?.book || !cfi) return;
+
+    debugLog("FoliateManager", `Reopening renderer: ${reason}`);
+    try {
+      view.close();
+      await view.open(view.book);
+      if (this.#view !== view) return;
+      this.#applyStylesToRenderer();
+      await view.goTo(cfi);
+      this.#refreshReadaloudHighlight();
+    } catch (error) {
+      console.error("[FM2] Failed to reopen renderer:", error);
+    }
+  }
+
   #applyStylesToRenderer() {
     if (!this.#view.renderer) {
       console.warn("[FM2] No renderer found, cannot apply styles");
       return;
     }
 
+    if (this.#isFixedLayout) {
+      this.#applyFixedLayoutSettings();
+      return;
+    }
+
     const mediaActiveClass =
       this.#view?.book?.media?.activeClass || "epub-media-overlay-active";
 
@@ -626,13 +1397,17 @@ class FoliateManager {
       fontFamily: this.#fontFamily,
       backgroundColor: this.#backgroundColor,
       foregroundColor: this.#foregroundColor,
+      theme: this.#theme?.name ?? null,
+      overrideLevel: this.#overrideLevel,
     });
 
     this.#view.renderer.setStyles?.(
       getCSS({
         lineSpacing: this.#lineSpacing,
-        justify: true,
-        hyphenate: true,
+        textAlign: this.#textAlign,
+        hyphenate: this.#hyphenate,
+        paragraphSpacing: this.#paragraphSpacing,
+        paragraphIndent: this.#paragraphIndent,
         mediaActiveClass,
         fontSize: this.#fontSize,
         fontFamily: this.#fontFamily,
@@ -643,37 +1418,132 @@ class FoliateManager {
         highlightColor: this.#highlightColor,
         backgroundColor: this.#backgroundColor,
         foregroundColor: this.#foregroundColor,
+        theme: this.#theme,
+        overrideLevel: this.#overrideLevel,
+        writingMode: this.#writingMode,
+        showRuby: this.#showRuby,
+        lineBreak: this.#lineBreak,
+        wordBreak: this.#wordBreak,
         customCSS: this.#customCSS,
       }),
     );
 
-    const columnCount = this.#singleColumnMode ? "1" : "2";
-    this.#view.renderer.setAttribute("max-column-count", columnCount);
-    debugLog("FoliateManager", `Set max-column-count to ${columnCount}`);
+    for (const doc of this.#getLoadedDocs()) {
+      this.#applyLanguageOverride(doc);
+      if (this.#theme?.imagePolicy === "invert-line-art") {
+        markLineArt(doc);
+      }
+    }
+
+    this.#view.setAttribute("flow", this.#flow);
+    this.#view.renderer.setAttribute("flow", this.#flow);
 
     const marginPx = Math.round((this.#marginTopBottom / 100) * 800);
     this.#view.renderer.setAttribute("margin", `${marginPx}px`);
     debugLog("FoliateManager", `Set margin to ${marginPx}px`);
 
     this.#view.renderer.setAttribute("gap", "0%");
-    this.#updateMaxInlineSize();
+    this.#updateColumnLayout();
 
     if (!this.#resizeHandler) {
-      this.#resizeHandler = () => this.#updateMaxInlineSize();
+      this.#resizeHandler = () => this.#updateColumnLayout();
       window.addEventListener("resize", this.#resizeHandler);
     }
 
     this.#view.renderer.render?.();
   }
 
-  #updateMaxInlineSize() {
-    if (!this.#view?.renderer) return;
+  /**
+   * Pre-paginated books keep the publisher's layout: no reflow CSS, columns or
+   * margins, only spread mode ("auto", "none" for single pages, "both" for
+   * two-page spreads, see #applySpreadToBook) and zoom ("fit-width", "fit-page"
+   * or a scale factor)
+   */
+  #applyFixedLayoutSettings() {
+    const renderer = this.#view.renderer;
+    debugLog("FoliateManager", "Applying fixed-layout settings:", {
+      spread: this.#fixedLayoutSpread,
+      zoom: this.#fixedLayoutZoom,
+    });
+
+    renderer.setAttribute("zoom", String(this.#fixedLayoutZoom));
+  }
 
-    if (this.#singleColumnMode) {
-      this.#view.renderer.setAttribute("max-inline-size", `${window.innerWidth}px`);
+  /**
+   * foliate's fixed-layout renderer reads the spread mode from the book's rendition
+   * only when it opens the book, so the setting is written there before opening;
+   * "auto" restores the publisher's value
+   */
+  #applySpreadToBook(book) {
+    if (book?.rendition?.layout !== "pre-paginated") return;
+    book.rendition.spread = this.#fixedLayoutSpread === "auto"
+      ? this.#publisherSpread
+      : this.#fixedLayoutSpread;
+  }
+
+  /**
+   * Column count and width. "auto" fits as many columns (up to 3) as the window
+   * allows at the target measure; maxLineLength caps each column's width.
+   * Both are in characters, converted with the current font's average glyph width.
+   */
+  #updateColumnLayout() {
+    if (!this.#view?.renderer || this.#isFixedLayout) return;
+
+    // Body padding (marginLeftRight %) takes its share of every column
+    const textFraction = Math.max(0.1, 1 - (2 * this.#marginLeftRight) / 100);
+    const charWidth = this.#getAverageCharWidth();
+
+    let columnCount;
+    if (this.#columns === "auto") {
+      const columnWidth = (this.#targetMeasure * charWidth) / textFraction;
+      columnCount = Math.max(1, Math.min(3, Math.floor(window.innerWidth / columnWidth)));
+    } else if (this.#columns != null) {
+      columnCount = this.#columns;
     } else {
-      this.#view.renderer.setAttribute("max-inline-size", `${Math.floor(window.innerWidth / 2)}px`);
+      columnCount = this.#singleColumnMode ? 1 : 2;
+    }
+
+    let inlineSize = Math.floor(window.innerWidth / columnCount);
+    if (this.#maxLineLength != null) {
+      inlineSize = Math.min(inlineSize, Math.ceil((this.#maxLineLength * charWidth) / textFraction));
     }
+
+    // Setting the attributes re-renders, so only do it when something changed
+    if (columnCount === this.#activeColumnCount && inlineSize === this.#activeInlineSize) return;
+    this.#activeColumnCount = columnCount;
+    this.#activeInlineSize = inlineSize;
+    this.#view.renderer.setAttribute("max-column-count", String(columnCount));
+    this.#view.renderer.setAttribute("max-inline-size", `${inlineSize}px`);
+    debugLog("FoliateManager", `Column layout: ${columnCount} x ${inlineSize}px`);
+  }
+
+  /**
+   * Average glyph width of the reading font, measured in a loaded section where user
+   * fonts are registered. Falls back to the reader page before any section loads.
+   */
+  #getAverageCharWidth() {
+    const doc = this.#getLoadedDocs()[0] ?? document;
+    const font = `${this.#fontSize}px ${this.#resolveFontFamily(doc)}`;
+    let width = this.#charWidthCache.get(font);
+    if (width == null) {
+      const sample = "the quick brown fox jumps over the lazy dog, THE QUICK BROWN FOX.";
+      const context = doc.createElement("canvas").getContext("2d");
+      context.font = font;
+      width = context.measureText(sample).width / sample.length || this.#fontSize * 0.5;
+      // A font still loading measures as its fallback; measure again next time
+      if (doc.fonts?.check?.(font) !== false) this.#charWidthCache.set(font, width);
+    }
+    return width;
+  }
+
+  // Swift sends "System Default" for no override, which leaves the book's own font
+  #resolveFontFamily(doc) {
+    const family = this.#fontFamily;
+    if (!family || family === "System Default") {
+      return doc.body ? doc.defaultView.getComputedStyle(doc.body).fontFamily || "serif" : "serif";
+    }
+    if (GENERIC_FONT_FAMILIES.includes(family)) return family;
+    return `"${family.replace(/"/g, '\\"')}", serif`;
   }
 
   #extractAnchorFromCFI(cfi) {
@@ -960,6 +1830,7 @@ class FoliateManager {
     if (seekToLocation && sectionHref) {
       debugLog("FoliateManager", `seekToLocation enabled, navigating to ${sectionHref}#${textId}`);
       this.#pendingHighlight = { sectionIndex, textId };
+      this.#markMediaOverlayNavigation();
       this.#view.goTo(`${sectionHref}#${textId}`);
       return;
     }
@@ -967,7 +1838,10 @@ class FoliateManager {
     if (!contents || !contents.length) {
       debugLog("FoliateManager", "No contents loaded, storing pending highlight and navigating");
       this.#pendingHighlight = { sectionIndex, textId };
-      if (sectionHref) this.#view.goTo(`${sectionHref}#${textId}`);
+      if (sectionHref) {
+        this.#markMediaOverlayNavigation();
+        this.#view.goTo(`${sectionHref}#${textId}`);
+      }
       return;
     }
 
@@ -975,7 +1849,10 @@ class FoliateManager {
     if (!content?.doc) {
       debugLog("FoliateManager", `Section ${sectionIndex} not currently loaded, storing pending highlight and navigating`);
       this.#pendingHighlight = { sectionIndex, textId };
-      if (sectionHref) this.#view.goTo(`${sectionHref}#${textId}`);
+      if (sectionHref) {
+        this.#markMediaOverlayNavigation();
+        this.#view.goTo(`${sectionHref}#${textId}`);
+      }
       return;
     }
 
@@ -1087,18 +1964,55 @@ class FoliateManager {
     this.#view.clearSearch();
   }
 
-  async goToCFI(cfi) {
+  /**
+   * Navigate to a print page from the EPUB page-list
+   * Returns false when the book has no page with that label
+   */
+  goToPageLabel(label) {
+    debugLog("FoliateManager", "goToPageLabel() - label:", label);
+    const wanted = String(label).trim();
+    const item = this.#pageList.find(entry => entry.label === wanted)
+      ?? this.#pageList.find(entry => entry.label.toLowerCase() === wanted.toLowerCase());
+    if (!item) {
+      console.warn("[FM2] goToPageLabel() - no page labelled:", label);
+      return false;
+    }
+    this.goTo(item.href, true);
+    return true;
+  }
+
+  /**
+   * Navigate to a stable location number (1-based)
+   * Returns false while locations are still being computed
+   */
+  async goToLocation(location) {
+    debugLog("FoliateManager", "goToLocation() - location:", location);
+    if (!this.#view) {
+      console.warn("[FM2] goToLocation() called but view not initialized");
+      return false;
+    }
+    const target = this.#locations.targetForLocation(location);
+    if (!target) {
+      console.warn("[FM2] goToLocation() - locations not ready or invalid location:", location);
+      return false;
+    }
+    this.#recordHistory();
+    await this.#view.renderer.goTo(target);
+    return true;
+  }
+
+  async goToCFI(cfi, recordHistory = false) {
     debugLog("FoliateManager", `goToCFI(cfi: "${cfi}")`);
     if (!this.#view) {
       console.warn("[FM2] goToCFI() called but view not initialized");
       return;
     }
+    if (recordHistory) this.#recordHistory();
     await this.#view.goTo(cfi);
   }
 
   #getElementSplitInfo(el, doc, renderer) {
     if (!el || !doc?.defaultView || !renderer) return null;
-    if (renderer.scrolled) return null;
 
     const rects = Array.from(el.getClientRects())
       .filter(rect => rect.width > 0 && rect.height > 0);
@@ -1122,9 +2036,19 @@ class FoliateManager {
 
     const writingMode =
       defaultView.getComputedStyle(doc.body)?.writingMode ?? '';
-    if (writingMode.startsWith('vertical')) return null;
 
     const rtl = renderer.getAttribute?.('dir') === 'rtl';
+    const scrolled = !!renderer.scrolled;
+
+    // Where the rest of a split element comes from: vertical text pages downwards
+    // when paginated and follows its line progression when scrolled
+    // (leftwards for vertical-rl); null is horizontal paginated text
+    let forwardSide = null;
+    if (writingMode.startsWith('vertical')) {
+      forwardSide = !scrolled ? 'bottom' : writingMode === 'vertical-lr' ? 'right' : 'left';
+    } else if (scrolled) {
+      forwardSide = 'bottom';
+    }
 
     let totalArea = 0;
     let visibleArea = 0;
@@ -1152,6 +2076,32 @@ class FoliateManager {
         visibleArea += overlapWidth * overlapHeight;
       }
 
+      if (forwardSide === 'bottom') {
+        const horizontalOverlap = Math.max(0,
+          Math.min(globalRight, viewportRect.right) -
+          Math.max(globalLeft, viewportRect.left));
+        if (horizontalOverlap <= 0) continue;
+        forwardArea += Math.max(0, Math.min(rect.height,
+          globalBottom - viewportRect.bottom)) * horizontalOverlap;
+        backwardArea += Math.max(0, Math.min(rect.height,
+          viewportRect.top - globalTop)) * horizontalOverlap;
+        continue;
+      }
+
+      if (forwardSide === 'left' || forwardSide === 'right') {
+        const verticalOverlap = Math.max(0,
+          Math.min(globalBottom, viewportRect.bottom) -
+          Math.max(globalTop, viewportRect.top));
+        if (verticalOverlap <= 0) continue;
+        const leftHidden = Math.max(0, Math.min(rect.width,
+          viewportRect.left - globalLeft)) * verticalOverlap;
+        const rightHidden = Math.max(0, Math.min(rect.width,
+          globalRight - viewportRect.right)) * verticalOverlap;
+        forwardArea += forwardSide === 'left' ? leftHidden : rightHidden;
+        backwardArea += forwardSide === 'left' ? rightHidden : leftHidden;
+        continue;
+      }
+
       const verticalOverlap = Math.max(0,
         Math.min(globalBottom, viewportRect.bottom) -
         Math.max(globalTop, viewportRect.top));
@@ -1184,8 +2134,9 @@ class FoliateManager {
 
     if (visibleRatio >= 0.98) return null;
 
-    const progressionRatio = rtl ? backwardRatio : forwardRatio;
-    const oppositeRatio = rtl ? forwardRatio : backwardRatio;
+    const swapSides = rtl && forwardSide === null;
+    const progressionRatio = swapSides ? backwardRatio : forwardRatio;
+    const oppositeRatio = swapSides ? forwardRatio : backwardRatio;
 
     if (progressionRatio < 0.1) return null;
     if (progressionRatio <= oppositeRatio) return null;
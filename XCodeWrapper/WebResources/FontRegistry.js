@@ -0,0 +1,95 @@
+import { debugLog } from "./DebugConfig.js";
+
+const decodeBase64 = (base64) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+};
+
+const fontKey = ({ family, weight, style }) => `${family}|${weight}|${style}`;
+
+/**
+ * FontRegistry - User fonts registered once and added to each section document
+ *
+ * Font bytes are decoded a single time; every section document gets its own
+ * FontFace objects (created in the section's realm) as it loads, so styles can
+ * refer to the fonts by family name without shipping @font-face data in CSS.
+ */
+export class FontRegistry {
+  #fonts = new Map();
+  #docFaces = new Map();
+
+  /**
+   * Add or replace fonts. Each font is {family, weight, style, data} with data
+   * as base64 (or an ArrayBuffer); weight and style default to 400 and "normal".
+   */
+  register(fonts, docs = []) {
+    for (const font of fonts) {
+      if (!font?.family || !font.data) {
+        console.warn("[FontRegistry] Skipping font without family or data");
+        continue;
+      }
+      const entry = {
+        family: font.family,
+        weight: String(font.weight ?? 400),
+        style: font.style === "italic" ? "italic" : "normal",
+        buffer: typeof font.data === "string" ? decodeBase64(font.data) : font.data,
+      };
+      const key = fontKey(entry);
+      this.#fonts.set(key, entry);
+      this.#removeFaces(faceKey => faceKey === key);
+      debugLog("FoliateManager", "Registered font:", entry.family, entry.weight, entry.style,
+        `${entry.buffer.byteLength} bytes`);
+    }
+    for (const doc of docs) this.apply(doc);
+  }
+
+  // Forget all fonts, or only the given families, and drop them from loaded documents
+  unregister(families = null) {
+    for (const [key, font] of this.#fonts) {
+      if (!families || families.includes(font.family)) this.#fonts.delete(key);
+    }
+    this.#removeFaces(key => !this.#fonts.has(key));
+  }
+
+  // Add registered fonts to a section document that doesn't have them yet
+  apply(doc) {
+    if (!doc?.fonts || this.#fonts.size === 0) return;
+
+    for (const knownDoc of this.#docFaces.keys()) {
+      if (!knownDoc.defaultView) this.#docFaces.delete(knownDoc);
+    }
+
+    const faces = this.#docFaces.get(doc) ?? new Map();
+    this.#docFaces.set(doc, faces);
+
+    const FontFaceClass = doc.defaultView?.FontFace ?? FontFace;
+    for (const [key, font] of this.#fonts) {
+      if (faces.has(key)) continue;
+      try {
+        const face = new FontFaceClass(font.family, font.buffer, {
+          weight: font.weight,
+          style: font.style,
+        });
+        doc.fonts.add(face);
+        faces.set(key, face);
+        face.load().catch(error => console.warn("[FontRegistry] Failed to load font:", font.family, error));
+      } catch (error) {
+        console.warn("[FontRegistry] Failed to add font:", font.family, error);
+      }
+    }
+  }
+
+  #removeFaces(shouldRemove) {
+    for (const [doc, faces] of this.#docFaces) {
+      for (const [key, face] of faces) {
+        if (!shouldRemove(key)) continue;
+        doc.fonts?.delete(face);
+        faces.delete(key);
+      }
+    }
+  }
+}
@@ -0,0 +1,188 @@
+import { debugLog } from "./DebugConfig.js";
+
+const EPUB_NS = "http://www.idpf.org/2007/ops";
+const NOTE_TYPES = ["footnote", "endnote", "note", "rearnote"];
+const POPOVER_ID = "footnote-popover";
+
+// Note content is rebuilt from these elements only; anything else is unwrapped to
+// its children, or dropped entirely when listed in DROPPED_ELEMENTS
+const ALLOWED_ELEMENTS = new Set([
+  "p", "div", "span", "br", "em", "strong", "i", "b", "u", "s", "sub", "sup", "small",
+  "cite", "q", "abbr", "code", "pre", "blockquote", "ol", "ul", "li", "dl", "dt", "dd",
+  "h1", "h2", "h3", "h4", "h5", "h6", "ruby", "rt", "rp",
+]);
+const DROPPED_ELEMENTS = new Set([
+  "script", "style", "template", "img", "svg", "math", "video", "audio", "iframe",
+  "object", "embed", "form", "input", "button", "select", "textarea", "link", "meta",
+]);
+const ALLOWED_ATTRIBUTES = ["lang", "dir", "class"];
+
+const getEpubTypes = el =>
+  (el?.getAttributeNS?.(EPUB_NS, "type") ?? "").split(/\s+/).filter(Boolean);
+
+const getRoles = el => (el?.getAttribute?.("role") ?? "").split(/\s+/).filter(Boolean);
+
+/**
+ * FootnotePopover - Shows the target of noteref links in a popover over the reader
+ *
+ * The note content is always posted to Swift as FootnoteRequested; the in-page
+ * popover is skipped when Swift shows notes in native UI ("native" display mode).
+ */
+export class FootnotePopover {
+  #view = null;
+  #displayMode = "popover";
+  #popover = null;
+
+  setView(view) {
+    this.#view = view;
+    this.hide();
+  }
+
+  setDisplayMode(mode) {
+    if (mode !== "popover" && mode !== "native") return;
+    debugLog("FoliateManager", "Footnote display mode:", mode);
+    this.#displayMode = mode;
+    if (mode === "native") this.hide();
+  }
+
+  get isOpen() {
+    return !!this.#popover;
+  }
+
+  isNoteref(a) {
+    return getEpubTypes(a).includes("noteref") || getRoles(a).includes("doc-noteref");
+  }
+
+  /**
+   * Show the note `href` points to
+   * Returns false when the note can't be resolved, leaving the link to the caller
+   */
+  async show(a, href) {
+    debugLog("FoliateManager", "Footnote requested:", href);
+
+    let note;
+    try {
+      note = await this.#resolveNote(href);
+    } catch (error) {
+      console.warn("[FootnotePopover] Failed to resolve note:", href, error);
+    }
+
+    if (!note) {
+      debugLog("FoliateManager", "Footnote target not found:", href);
+      return false;
+    }
+
+    window.webkit?.messageHandlers?.FootnoteRequested?.postMessage({
+      href,
+      html: note.innerHTML,
+      text: note.textContent.trim(),
+    });
+
+    if (this.#displayMode === "popover") {
+      this.#render(note, a);
+    }
+    return true;
+  }
+
+  hide() {
+    this.#popover?.remove();
+    this.#popover = null;
+  }
+
+  async #resolveNote(href) {
+    const book = this.#view?.book;
+    const resolved = book?.resolveHref?.(href);
+    if (!resolved) return null;
+
+    const loaded = this.#view.renderer?.getContents?.()
+      ?.find(content => content.index === resolved.index)?.doc;
+    const doc = loaded ?? await book.sections?.[resolved.index]?.createDocument?.();
+    if (!doc) return null;
+
+    const target = resolved.anchor?.(doc);
+    const el = target?.nodeType === Node.ELEMENT_NODE ? target : target?.startContainer?.parentElement;
+    if (!el) return null;
+
+    return this.#extractContent(this.#findNoteContainer(el));
+  }
+
+  // The link target may be the note itself or an anchor inside it
+  #findNoteContainer(el) {
+    for (let node = el; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentElement) {
+      const types = getEpubTypes(node);
+      const roles = getRoles(node);
+      if (NOTE_TYPES.some(type => types.includes(type)) ||
+          roles.includes("doc-footnote") || roles.includes("doc-endnote")) {
+        return node;
+      }
+      if (node.localName === "aside" || node.localName === "li") return node;
+      if (node.localName === "body") break;
+    }
+    return el.closest?.("p, div") ?? el;
+  }
+
+  // Rebuild the note in the top document from allowed elements and attributes only,
+  // so no publisher handlers, styles or form attributes leave the sandboxed section
+  #extractContent(el) {
+    const container = document.createElement("div");
+    this.#copyAllowed(el, container);
+    return container.textContent.trim() ? container : null;
+  }
+
+  #copyAllowed(source, target) {
+    for (const node of source.childNodes) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        target.append(node.data);
+        continue;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) continue;
+
+      const name = node.localName.toLowerCase();
+      if (DROPPED_ELEMENTS.has(name)) continue;
+      if (name === "a" &&
+          (getEpubTypes(node).includes("backlink") || getRoles(node).includes("doc-backlink"))) {
+        continue;
+      }
+      if (!ALLOWED_ELEMENTS.has(name)) {
+        this.#copyAllowed(node, target);
+        continue;
+      }
+
+      const copy = document.createElement(name);
+      for (const attr of ALLOWED_ATTRIBUTES) {
+        const value = node.getAttribute(attr) ?? (attr === "lang" ? node.getAttribute("xml:lang") : null);
+        if (value != null) copy.setAttribute(attr, value);
+      }
+      this.#copyAllowed(node, copy);
+      target.appendChild(copy);
+    }
+  }
+
+  #render(content, a) {
+    this.hide();
+
+    const popover = document.createElement("div");
+    popover.id = POPOVER_ID;
+    popover.append(...content.childNodes);
+    popover.addEventListener("click", event => event.stopPropagation());
+    document.body.appendChild(popover);
+    this.#popover = popover;
+
+    // Anchor rects are relative to the section iframe
+    const frameRect = a.ownerDocument.defaultView?.frameElement?.getBoundingClientRect();
+    const rect = a.getBoundingClientRect();
+    const anchorTop = (frameRect?.top ?? 0) + rect.top;
+    const anchorBottom = (frameRect?.top ?? 0) + rect.bottom;
+    const anchorLeft = (frameRect?.left ?? 0) + rect.left;
+
+    const { offsetWidth: width, offsetHeight: height } = popover;
+    const margin = 8;
+    const left = Math.max(margin, Math.min(anchorLeft - width / 2, window.innerWidth - width - margin));
+    const top = anchorBottom + margin + height <= window.innerHeight
+      ? anchorBottom + margin
+      : Math.max(margin, anchorTop - margin - height);
+
+    popover.style.left = `${left}px`;
+    popover.style.top = `${top}px`;
+  }
+}
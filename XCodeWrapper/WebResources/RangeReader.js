@@ -0,0 +1,87 @@
+import { Reader } from "./foliate-js/vendor/zip.js";
+import { debugLog } from "./DebugConfig.js";
+
+/**
+ * RangeReader - zip.js reader that pulls byte ranges from a URL on demand
+ *
+ * zip.js reads the central directory from the tail of the archive and then each
+ * entry as foliate asks for it, so only the parts of the book that are rendered
+ * are ever read into memory.
+ *
+ * Local books arrive as silveran-book:// URLs, served by Swift's
+ * BookFileSchemeHandler with Range support. WKWebView answers plain file://
+ * fetches with the whole file and status 200; when a URL ignores Range like
+ * that, init() leaves `rangesSupported` false without reading the body and the
+ * caller falls back to fetching the whole file.
+ */
+export class RangeReader extends Reader {
+  #url;
+  #signal;
+  #onRead;
+  #rangesSupported = false;
+  #bytesRead = 0;
+
+  constructor(url, { signal = null, onRead = null } = {}) {
+    super();
+    this.#url = url;
+    this.#signal = signal;
+    this.#onRead = onRead;
+  }
+
+  get rangesSupported() {
+    return this.#rangesSupported;
+  }
+
+  get bytesRead() {
+    return this.#bytesRead;
+  }
+
+  /**
+   * Stop reporting reads once the book has finished loading
+   * foliate keeps reading entries while the book is open, which isn't load progress
+   */
+  detach() {
+    this.#onRead = null;
+  }
+
+  async init() {
+    const response = await fetch(this.#url, {
+      headers: { Range: "bytes=0-0" },
+      signal: this.#signal,
+    });
+    if (!response.ok && response.status !== 0) {
+      throw new Error(`Fetch failed with status ${response.status}`);
+    }
+
+    const total = Number(response.headers.get("content-range")?.split("/")[1]);
+    if (response.status !== 206 || !Number.isFinite(total)) {
+      debugLog("BookLoader", "Range requests not supported by", String(this.#url));
+      await response.body?.cancel();
+      return;
+    }
+
+    await response.arrayBuffer();
+    this.size = total;
+    this.#rangesSupported = true;
+    debugLog("BookLoader", "Range requests supported, size:", total, "bytes");
+    super.init();
+  }
+
+  async readUint8Array(offset, length) {
+    if (length <= 0) return new Uint8Array(0);
+
+    const response = await fetch(this.#url, {
+      headers: { Range: `bytes=${offset}-${offset + length - 1}` },
+      signal: this.#signal,
+    });
+    if (response.status !== 206) {
+      throw new Error(`Range request for ${offset}+${length} failed with status ${response.status}`);
+    }
+
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    this.#bytesRead += bytes.length;
+    debugLog("trace", `Range read ${offset}+${length}, total read: ${this.#bytesRead}`);
+    this.#onRead?.(this.#bytesRead, this.size);
+    return bytes;
+  }
+}
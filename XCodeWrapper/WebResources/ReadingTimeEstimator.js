@@ -0,0 +1,132 @@
+import { debugLog } from "./DebugConfig.js";
+
+const PACE_STORAGE_KEY = "silveran-reading-pace";
+// Page turns faster than this are skimming, slower ones mean the reader left
+const MIN_TURN_MS = 2000;
+const MAX_TURN_MS = 10 * 60 * 1000;
+// Forward moves larger than this are jumps (TOC, search), not page turns
+const MAX_TURN_FRACTION = 0.05;
+const MIN_SAMPLES = 3;
+const SMOOTHING = 0.2;
+
+/**
+ * ReadingTimeEstimator - Time left in the chapter and book
+ *
+ * Reading pace is measured in seconds per byte of section content from forward
+ * page turns, smoothed, and kept across books. Readaloud books use media overlay
+ * durations and the playback rate instead, once Swift has provided them.
+ */
+export class ReadingTimeEstimator {
+  #totalSize = 0;
+  #lastSample = null;
+  #secondsPerByte = null;
+  #samples = 0;
+  #sectionDurations = null;
+  #playbackRate = 1;
+
+  constructor() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(PACE_STORAGE_KEY) ?? "null");
+      if (Number.isFinite(stored?.secondsPerByte) && stored.secondsPerByte > 0) {
+        this.#secondsPerByte = stored.secondsPerByte;
+        this.#samples = MIN_SAMPLES;
+      }
+    } catch (error) {
+      console.warn("[ReadingTimeEstimator] Failed to restore reading pace:", error);
+    }
+  }
+
+  setBook(book) {
+    // Same weighting as foliate's section fractions: linear sections by byte size
+    this.#totalSize = (book?.sections ?? []).reduce((sum, section) =>
+      sum + (section.linear !== "no" && section.size > 0 ? section.size : 0), 0);
+    this.#lastSample = null;
+    this.#sectionDurations = null;
+  }
+
+  reset() {
+    this.setBook(null);
+  }
+
+  setReadaloudTiming({ sectionDurations, playbackRate }) {
+    if (Array.isArray(sectionDurations)) {
+      this.#sectionDurations = sectionDurations.some(duration => duration > 0)
+        ? sectionDurations
+        : null;
+    }
+    if (Number.isFinite(playbackRate) && playbackRate > 0) {
+      this.#playbackRate = playbackRate;
+    }
+  }
+
+  recordPosition(fraction, now = Date.now()) {
+    if (!Number.isFinite(fraction)) return;
+
+    const last = this.#lastSample;
+    this.#lastSample = { fraction, time: now };
+    if (!last || this.#totalSize <= 0) return;
+
+    const delta = fraction - last.fraction;
+    const elapsed = now - last.time;
+    if (delta <= 0 || delta > MAX_TURN_FRACTION) return;
+    if (elapsed < MIN_TURN_MS || elapsed > MAX_TURN_MS) return;
+
+    const sample = (elapsed / 1000) / (delta * this.#totalSize);
+    this.#secondsPerByte = this.#secondsPerByte == null
+      ? sample
+      : this.#secondsPerByte + SMOOTHING * (sample - this.#secondsPerByte);
+    this.#samples++;
+
+    debugLog("trace", "[ReadingTimeEstimator] Pace sample:", sample, "smoothed:", this.#secondsPerByte);
+
+    try {
+      localStorage.setItem(PACE_STORAGE_KEY, JSON.stringify({ secondsPerByte: this.#secondsPerByte }));
+    } catch (error) {
+      console.warn("[ReadingTimeEstimator] Failed to store reading pace:", error);
+    }
+  }
+
+  /**
+   * Move to a position the reader didn't turn to (readaloud auto-flip, media overlay
+   * seeks) without sampling pace, so the next page turn is measured from here
+   */
+  skipPosition(fraction, now = Date.now()) {
+    if (!Number.isFinite(fraction)) return;
+    this.#lastSample = { fraction, time: now };
+  }
+
+  /**
+   * Seconds left in the chapter and the book, or nulls when there is nothing to base them on
+   * sectionFractions are foliate's cumulative section start fractions
+   */
+  estimate({ fraction, chapterFraction, sectionIndex, sectionFractions }) {
+    if (this.#sectionDurations && sectionIndex != null && Number.isFinite(chapterFraction)) {
+      return this.#estimateFromAudio(sectionIndex, chapterFraction);
+    }
+
+    if (this.#samples < MIN_SAMPLES || this.#secondsPerByte == null ||
+        this.#totalSize <= 0 || !Number.isFinite(fraction)) {
+      return { chapterTimeRemaining: null, bookTimeRemaining: null };
+    }
+
+    const secondsPerFraction = this.#secondsPerByte * this.#totalSize;
+    const sectionEnd = sectionFractions?.[sectionIndex + 1] ?? 1;
+    return {
+      chapterTimeRemaining: Math.max(0, sectionEnd - fraction) * secondsPerFraction,
+      bookTimeRemaining: Math.max(0, 1 - fraction) * secondsPerFraction,
+    };
+  }
+
+  #estimateFromAudio(sectionIndex, chapterFraction) {
+    const durations = this.#sectionDurations;
+    const chapterLeft = (durations[sectionIndex] ?? 0) * Math.max(0, 1 - chapterFraction);
+    const laterSections = durations
+      .slice(sectionIndex + 1)
+      .reduce((sum, duration) => sum + (duration > 0 ? duration : 0), 0);
+
+    return {
+      chapterTimeRemaining: chapterLeft / this.#playbackRate,
+      bookTimeRemaining: (chapterLeft + laterSections) / this.#playbackRate,
+    };
+  }
+}
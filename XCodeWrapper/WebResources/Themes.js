@@ -0,0 +1,166 @@
+import { debugLog } from "./DebugConfig.js";
+
+export const LINE_ART_CLASS = "silveran-line-art";
+const IMAGE_POLICIES = ["leave", "dim", "invert-line-art"];
+
+const THEME_FIELDS = [
+  "backgroundColor",
+  "foregroundColor",
+  "linkColor",
+  "visitedLinkColor",
+  "selectionColor",
+  "headingColor",
+  "blockquoteAccent",
+];
+
+/**
+ * Built-in themes, selectable by name through updateStyles({ theme: "sepia" })
+ * Custom themes are plain objects with the same fields, optionally extending
+ * a built-in one through `base`.
+ */
+export const THEMES = Object.freeze({
+  light: {
+    backgroundColor: "#ffffff",
+    foregroundColor: "#1a1a1a",
+    linkColor: "#0b57d0",
+    visitedLinkColor: "#6f3fb5",
+    selectionColor: "rgba(11, 87, 208, 0.25)",
+    headingColor: null,
+    blockquoteAccent: "#c7c7c7",
+    imagePolicy: "leave",
+  },
+  sepia: {
+    backgroundColor: "#f4ecd8",
+    foregroundColor: "#5b4636",
+    linkColor: "#8a4b08",
+    visitedLinkColor: "#6b4226",
+    selectionColor: "rgba(138, 75, 8, 0.25)",
+    headingColor: "#4a3526",
+    blockquoteAccent: "#c8b48f",
+    imagePolicy: "leave",
+  },
+  dark: {
+    backgroundColor: "#1e1e1e",
+    foregroundColor: "#d6d6d6",
+    linkColor: "#8ab4f8",
+    visitedLinkColor: "#c58af9",
+    selectionColor: "rgba(138, 180, 248, 0.35)",
+    headingColor: "#e8e8e8",
+    blockquoteAccent: "#5f6368",
+    imagePolicy: "invert-line-art",
+  },
+  black: {
+    backgroundColor: "#000000",
+    foregroundColor: "#c8c8c8",
+    linkColor: "#8ab4f8",
+    visitedLinkColor: "#c58af9",
+    selectionColor: "rgba(138, 180, 248, 0.35)",
+    headingColor: "#e0e0e0",
+    blockquoteAccent: "#3c4043",
+    imagePolicy: "dim",
+  },
+});
+
+/**
+ * Resolve a theme name or object to a complete theme, or null for no theme
+ * Returns undefined when the value is not a usable theme
+ */
+export function resolveTheme(value) {
+  if (value === null) return null;
+
+  if (typeof value === "string") {
+    const theme = THEMES[value];
+    return theme ? { name: value, ...theme } : undefined;
+  }
+
+  if (typeof value !== "object") return undefined;
+
+  const base = value.base ? THEMES[value.base] : null;
+  if (value.base && !base) return undefined;
+
+  const theme = { name: value.name ?? value.base ?? "custom", imagePolicy: "leave" };
+  for (const field of THEME_FIELDS) {
+    theme[field] = value[field] ?? base?.[field] ?? null;
+  }
+  const imagePolicy = value.imagePolicy ?? base?.imagePolicy;
+  if (IMAGE_POLICIES.includes(imagePolicy)) theme.imagePolicy = imagePolicy;
+  return theme;
+}
+
+/**
+ * Theme rules appended to the reader CSS (colors are applied with the base styles)
+ */
+export function getThemeCSS(theme) {
+  if (!theme) return "";
+
+  const rules = [];
+  if (theme.linkColor) {
+    rules.push(`a:link, a:link * { color: ${theme.linkColor} !important; }`);
+  }
+  if (theme.visitedLinkColor) {
+    rules.push(`a:visited, a:visited * { color: ${theme.visitedLinkColor} !important; }`);
+  }
+  if (theme.selectionColor) {
+    rules.push(`::selection { background-color: ${theme.selectionColor} !important; }`);
+  }
+  if (theme.headingColor) {
+    rules.push(`h1, h2, h3, h4, h5, h6 { color: ${theme.headingColor} !important; }`);
+  }
+  if (theme.blockquoteAccent) {
+    rules.push(`blockquote {
+        border-inline-start: 3px solid ${theme.blockquoteAccent} !important;
+        padding-inline-start: 1em !important;
+    }`);
+  }
+  if (theme.imagePolicy === "dim") {
+    rules.push(`img, svg, video { filter: brightness(0.75) !important; }`);
+  } else if (theme.imagePolicy === "invert-line-art") {
+    rules.push(`.${LINE_ART_CLASS} { filter: invert(1) hue-rotate(180deg) !important; }`);
+  }
+  return rules.join("\n    ");
+}
+
+// Line art is mostly white or transparent with little color; photos are neither
+const isLineArt = (img) => {
+  const size = 32;
+  const canvas = img.ownerDocument.createElement("canvas");
+  canvas.width = size;
+  canvas.height = size;
+  const context = canvas.getContext("2d", { willReadFrequently: true });
+  context.drawImage(img, 0, 0, size, size);
+  const { data } = context.getImageData(0, 0, size, size);
+
+  let background = 0;
+  let colorful = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    const [r, g, b, a] = [data[i], data[i + 1], data[i + 2], data[i + 3]];
+    if (a < 32 || (r > 224 && g > 224 && b > 224)) background++;
+    if (Math.max(r, g, b) - Math.min(r, g, b) > 64) colorful++;
+  }
+  const pixels = size * size;
+  return background / pixels > 0.6 && colorful / pixels < 0.1;
+};
+
+/**
+ * Tag line-art images and inline SVG in a section document with LINE_ART_CLASS
+ * Images that can't be read (not loaded, cross-origin) are left alone
+ */
+export function markLineArt(doc) {
+  // SVG wrappers around raster images (typical for covers) are photos, not drawings
+  for (const svg of doc.querySelectorAll("body svg")) {
+    if (svg.parentElement?.closest("svg") || svg.querySelector("image")) continue;
+    svg.classList.add(LINE_ART_CLASS);
+  }
+
+  for (const img of doc.querySelectorAll("img")) {
+    const check = () => {
+      try {
+        img.classList.toggle(LINE_ART_CLASS, isLineArt(img));
+      } catch (error) {
+        debugLog("trace", "[Themes] Could not inspect image:", error);
+      }
+    };
+    if (img.complete && img.naturalWidth > 0) check();
+    else img.addEventListener("load", check, { once: true });
+  }
+}